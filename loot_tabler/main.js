@@ -2,17 +2,46 @@
 /* eslint-disable no-console */
 
 // Regolith Loot Tabler Filter (NodeJS)
-// - Scans BP/structures for .mcstructure files (recursively)
+// - Scans BP/structures for .mcstructure files (recursively); structures_dir may be a glob / list
 // - Applies loot tables based on block entity id (Chest, Barrel, BrushableBlock, DecoratedPot, etc.)
 // - Supports folder-scoped rules via config.folders (most-specific match wins)
 // - Supports per-structure (filename-prefix) overrides for Chest/Barrel/etc. via:
 //     folderRule.structure_defaults: { "Chest": "<loot>", "Barrel": "<loot>", ... }
 //     folderRule.structure_overrides: { "armorer": { "Chest": "<loot>", "Barrel": "<loot>" }, ... }
-// - Settings come from Regolith as JSON string in argv[2]
+// - Settings come from Regolith as JSON string in argv[2] (or from CLI flags, see CLI_USAGE)
 // - Option B: can write an example loot config into the project on demand (write_example_config)
+// - Validates the loot config up front; any problem aborts the run before a file is written
+// - Optionally checks that every referenced loot table exists in the behavior pack (check_loot_tables)
+// - Per-container seeds via seed_strategy (fixed / none / hash / hash+salt) at defaults, folder or tile level
+// - Loot table values may be weighted lists with optional per-structure min/max guarantees
+// - position_rules pick loot by container x/y/z inside the structure (y-range, box, nearest centre)
+// - Tile map keys may also be palette block names with state filters ("minecraft:trapped_chest")
+// - Folder and structure override keys accept globs ("ruins/**/vault_*") and regexes ("re:...")
+// - dry_run resolves everything and prints a per-container change plan without writing files
+// - report_path writes a project-wide loot report (json / csv / md) with totals per table and folder
+// - coverage reports (and can fail the build on) containers left without loot or items
+// - Container entities in structure.entities (chest minecarts, chest boats) get loot like blocks
+// - items_policy (keep / skip / clear) decides what happens to containers with hand-placed Items
+// - mode "strip" (or loot_table: null on a rule) removes LootTable / LootTableSeed from containers
+// - Tile rules can carry a typed "nbt" patch (CustomName, sherds, Findable, Lock) for block_entity_data
+// - mode "extract_config" infers a compact config from the loot already in the structures
+// - Config composition: "include" files, "presets" + "extends", and folder rules with "inherit": true
+// - Loot table paths support {folder}/{structure}/... placeholders and "first_existing" fallbacks
+// - Exports applyLoot / resolveTileConfig for build scripts, plus a "loot-tabler <command>" CLI
+// - Optional content-hash cache (cache) skips unchanged structures; the rest run on a worker pool
+// - Java Edition structure .nbt files (gzipped, big-endian) too, with per-edition id mapping
+// - Folder "quotas" place a table in N containers (or a share of structures) across a folder
+// - html_report_dir writes an offline HTML report: per-layer maps of every structure plus an index
+// - In-world "markers": a loot:<alias> CustomName or a marker block beneath picks the table
+// - output_dir mirrors structures_dir instead of writing in place; backup + "restore" undo runs
+// - mode "scaffold_loot_tables" creates stubs for referenced loot tables that don't exist yet
 
 const fs = require("fs");
 const path = require("path");
+const util = require("util");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
 const nbt = require("prismarine-nbt");
 
 // -------------------- settings + fs helpers --------------------
@@ -29,6 +58,43 @@ function readSettingsArg() {
   }
 }
 
+function parseJsonWithComments(raw) {
+  // Minecraft accepts // and /* */ comments in pack JSON; drop them (outside strings) first
+  let out = "";
+  for (let i = 0; i < raw.length; i++) {
+    const c = raw[i];
+    if (c === '"') {
+      let j = i + 1;
+      while (j < raw.length && raw[j] !== '"') j += raw[j] === "\\" ? 2 : 1;
+      out += raw.slice(i, j + 1);
+      i = j;
+    } else if (c === "/" && raw[i + 1] === "/") {
+      while (i < raw.length && raw[i] !== "\n") i++;
+      out += "\n";
+    } else if (c === "/" && raw[i + 1] === "*") {
+      const end = raw.indexOf("*/", i + 2);
+      i = end === -1 ? raw.length : end + 1;
+      out += " ";
+    } else {
+      out += c;
+    }
+  }
+  return JSON.parse(out);
+}
+
+const CHECK_MODES = ["off", "warn", "fail"];
+
+function readCheckMode(settings, name) {
+  // off / warn / fail; true is shorthand for warn
+  const v = settings[name];
+  if (v === undefined || v === null || v === false) return "off";
+  if (v === true) return "warn";
+  if (CHECK_MODES.includes(v)) return v;
+  throw new Error(
+    `Invalid ${name} setting ${JSON.stringify(v)}; expected one of: ${CHECK_MODES.join(", ")}.`
+  );
+}
+
 async function fileExists(p) {
   try {
     await fs.promises.access(p, fs.constants.F_OK);
@@ -49,6 +115,40 @@ async function walk(dir) {
   return out;
 }
 
+async function resolveStructureRoots(setting) {
+  // structures_dir is one path or a list. "*", "?" and "{a,b}" match directory names, so
+  // "data/*/structures" finds every namespace of a Java data pack. Roots that don't exist are
+  // dropped; the rest keep the order they were listed in.
+  const roots = [];
+  for (const pattern of Array.isArray(setting) ? setting : [setting]) {
+    let dirs = [pattern];
+    if (/[*?{]/.test(pattern)) {
+      const segments = normRel(pattern).split("/");
+      dirs = [path.isAbsolute(pattern) ? path.sep : "."];
+      for (const segment of segments) {
+        if (!/[*?{]/.test(segment)) {
+          dirs = dirs.map((d) => path.join(d, segment));
+          continue;
+        }
+        const re = new RegExp(`^${globToRegExpSource(segment)}$`);
+        const next = [];
+        for (const d of dirs) {
+          if (!(await fileExists(d))) continue;
+          const entries = await fs.promises.readdir(d, { withFileTypes: true });
+          for (const e of entries) {
+            if (e.isDirectory() && re.test(e.name)) next.push(path.join(d, e.name));
+          }
+        }
+        dirs = next.sort();
+      }
+    }
+    for (const d of dirs) {
+      if (!roots.includes(d) && (await fileExists(d))) roots.push(d);
+    }
+  }
+  return roots;
+}
+
 // -------------------- path scoping helpers --------------------
 
 function normRel(p) {
@@ -57,33 +157,146 @@ function normRel(p) {
   return s.replace(/^\/+|\/+$/g, "").replace(/^\.\//, "");
 }
 
+// Bedrock .mcstructure and Java .nbt; keys and placeholders never include the extension
+const STRUCTURE_EXT_RE = /\.(mcstructure|nbt)$/i;
+
 function getRelativeToStructures(filePath, structuresDir) {
   const rel = path.relative(structuresDir, filePath);
   return normRel(rel);
 }
 
-function pickFolderRule(config, relToStructures) {
+// Folder and structure override keys are one of:
+//   plain:  "village/plains" (directory prefix) / "armorer" (matches armorer, armorer_1, ...)
+//   glob:   contains * ? or {a,b}; "*" stays within one path segment, "**" crosses segments
+//   regex:  "re:" prefix, e.g. "re:house_(small|large)_\\d+" (always a full match)
+// Precedence among matching keys: exact match, then most literal characters, then a higher
+// "priority" on the rule, then the first key in the file.
+
+const REGEX_KEY_PREFIX = "re:";
+const keyPatternCache = new Map();
+
+function globToRegExpSource(glob) {
+  let out = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      // "**/" also matches zero directories
+      if (glob[i + 2] === "/") {
+        out += "(?:.*/)?";
+        i += 2;
+      } else {
+        out += ".*";
+        i++;
+      }
+    } else if (ch === "*") out += "[^/]*";
+    else if (ch === "?") out += "[^/]";
+    else if (ch === "{") {
+      const close = glob.indexOf("}", i);
+      if (close < 0) throw new Error(`unclosed "{" in glob ${JSON.stringify(glob)}`);
+      const alts = glob
+        .slice(i + 1, close)
+        .split(",")
+        .map(globToRegExpSource);
+      out += `(?:${alts.join("|")})`;
+      i = close;
+    } else out += ch.replace(/[.+^$()|[\]\\]/g, "\\$&");
+  }
+  return out;
+}
+
+function compileKeyPattern(key) {
+  // Returns { kind: "plain" | "glob" | "regex", re, specificity }; throws on a bad pattern.
+  if (keyPatternCache.has(key)) return keyPatternCache.get(key);
+
+  let compiled;
+  if (key.startsWith(REGEX_KEY_PREFIX)) {
+    const src = key.slice(REGEX_KEY_PREFIX.length);
+    compiled = {
+      kind: "regex",
+      re: new RegExp(`^(?:${src})$`, "i"),
+      specificity: src.replace(/\\[dDwWsSbB]|[.*+?^$()[\]{}|\\]/g, "").length
+    };
+  } else if (/[*?{]/.test(key)) {
+    compiled = {
+      kind: "glob",
+      re: new RegExp(`^${globToRegExpSource(key)}$`, "i"),
+      specificity: key.replace(/[*?{},]/g, "").length
+    };
+  } else {
+    compiled = { kind: "plain", re: null, specificity: key.length };
+  }
+
+  keyPatternCache.set(key, compiled);
+  return compiled;
+}
+
+function compareKeyMatches(a, b) {
+  // > 0 when a should win over b
+  if (a.exact !== b.exact) return a.exact ? 1 : -1;
+  if (a.specificity !== b.specificity) return a.specificity - b.specificity;
+  return a.priority - b.priority;
+}
+
+function rulePriority(rule) {
+  return rule && typeof rule.priority === "number" ? rule.priority : 0;
+}
+
+function matchFolderKey(key, relDir, relPathNoExt) {
+  // regex keys are used verbatim; normRel would turn their backslashes into slashes
+  const k = key.startsWith(REGEX_KEY_PREFIX) ? key : normRel(key);
+  if (!k) return null;
+
+  const pattern = compileKeyPattern(k);
+  if (pattern.kind === "plain") {
+    if (relDir === k || relDir.startsWith(k + "/")) {
+      return { exact: relDir === k, specificity: pattern.specificity, kind: pattern.kind };
+    }
+    return null;
+  }
+
+  // patterns may match the directory, any parent directory, or the structure path itself
+  const parts = relDir ? relDir.split("/") : [];
+  const targets = [relPathNoExt];
+  for (let i = parts.length; i > 0; i--) targets.push(parts.slice(0, i).join("/"));
+  if (!targets.some((t) => pattern.re.test(t))) return null;
+  return { exact: false, specificity: pattern.specificity, kind: pattern.kind };
+}
+
+function pickFolderRuleMatch(config, relToStructures) {
   // relToStructures like: "village/desert/houses/armorer_1.mcstructure"
+  // Returns { key, rule, kind, inherited } or null. `rule` has presets ("extends") applied and,
+  // with "inherit": true, the less specific matching rules merged underneath (keys in `inherited`).
   const folders = config.folders || {};
   const relDir = normRel(path.dirname(relToStructures)); // "village/desert/houses"
+  const relPathNoExt = relToStructures.replace(STRUCTURE_EXT_RE, "");
 
-  // find all folder keys that are prefixes of relDir; pick the longest (most specific)
-  let bestKey = null;
-  let bestLen = -1;
-
+  const matches = [];
   for (const key of Object.keys(folders)) {
-    const k = normRel(key);
-    if (!k) continue;
+    const m = matchFolderKey(key, relDir, relPathNoExt);
+    if (!m) continue;
+    m.priority = rulePriority(folders[key]);
+    matches.push({ ...m, key, rule: folders[key] });
+  }
+  if (matches.length === 0) return null;
 
-    if (relDir === k || relDir.startsWith(k + "/")) {
-      if (k.length > bestLen) {
-        bestKey = key;
-        bestLen = k.length;
-      }
-    }
+  // most specific first; the sort is stable, so ties keep file order
+  matches.sort((a, b) => compareKeyMatches(b, a));
+
+  let rule = applyPresets(config, matches[0].rule);
+  let layer = rule;
+  const inherited = [];
+  for (let i = 1; i < matches.length && layer.inherit === true; i++) {
+    layer = applyPresets(config, matches[i].rule);
+    rule = mergeConfigLayers(layer, rule);
+    inherited.push(matches[i].key);
   }
 
-  return bestKey ? folders[bestKey] : null;
+  return { ...matches[0], rule, inherited };
+}
+
+function pickFolderRule(config, relToStructures) {
+  const match = pickFolderRuleMatch(config, relToStructures);
+  return match ? match.rule : null;
 }
 
 function getTileMap(scopeObj) {
@@ -96,476 +309,4697 @@ function getTileMap(scopeObj) {
 function getStructureBaseName(filePath) {
   // "armorer_1.mcstructure" -> "armorer_1"
   const base = path.basename(filePath);
-  return base.toLowerCase().replace(/\.mcstructure$/i, "");
+  return base.toLowerCase().replace(STRUCTURE_EXT_RE, "");
 }
 
-function pickStructureOverride(folderRule, structureBaseName) {
+function normStructureKey(key) {
+  // plain and glob keys compare lower-case; regex keys are used verbatim (lower-casing would turn
+  // "\D" into "\d") and already match case-insensitively
+  const k = String(key);
+  return k.startsWith(REGEX_KEY_PREFIX) ? k : k.toLowerCase();
+}
+
+function matchStructureKey(structureBaseName, key) {
+  // Returns { exact, specificity, kind } or null. structureBaseName is lower-case.
+  const k = normStructureKey(key);
+  const pattern = compileKeyPattern(k);
+  if (pattern.kind === "plain") {
+    // key "armorer" matches "armorer", "armorer_1", "armorer_2", etc.
+    if (structureBaseName === k || structureBaseName.startsWith(k + "_")) {
+      return {
+        exact: structureBaseName === k,
+        specificity: pattern.specificity,
+        kind: pattern.kind
+      };
+    }
+    return null;
+  }
+  if (!pattern.re.test(structureBaseName)) return null;
+  return { exact: false, specificity: pattern.specificity, kind: pattern.kind };
+}
+
+function matchesStructureKey(structureBaseName, key) {
+  return matchStructureKey(structureBaseName, key) !== null;
+}
+
+function pickStructureOverrideMatch(folderRule, structureBaseName) {
+  // Returns { key, override, kind } or null.
   if (!folderRule || !folderRule.structure_overrides) return null;
   const overrides = folderRule.structure_overrides;
 
-  // match by prefix (key "armorer" matches "armorer_1", "armorer_2", etc.)
-  let bestKey = null;
-  let bestLen = -1;
-
+  let best = null;
   for (const k of Object.keys(overrides)) {
-    const key = String(k).toLowerCase();
-    if (structureBaseName === key || structureBaseName.startsWith(key + "_")) {
-      if (key.length > bestLen) {
-        bestKey = k;
-        bestLen = key.length;
-      }
-    }
+    const m = matchStructureKey(structureBaseName, k);
+    if (!m) continue;
+    m.priority = rulePriority(overrides[k]);
+    if (!best || compareKeyMatches(m, best) > 0) best = { ...m, key: k, override: overrides[k] };
   }
 
-  return bestKey ? overrides[bestKey] : null;
+  return best;
+}
+
+function pickStructureOverride(folderRule, structureBaseName) {
+  const match = pickStructureOverrideMatch(folderRule, structureBaseName);
+  return match ? match.override : null;
 }
 
-function buildPerFileTileConfig(config, folderRule, filePath) {
+function buildPerFileTileConfig(config, folderRule, filePath, sources = {}) {
   // Build the effective tile config for THIS structure file.
+  // `sources` is filled with tileKey -> level that set it (global/folder/structure_default/override).
   // Priority order (later overrides earlier):
   // 1) config.global.tile_entities
   // 2) folderRule.tile_entities
-  // 3) folderRule.structure_defaults (maps tileId -> loot_table path)
-  // 4) folderRule.structure_overrides (picked by filename prefix; maps tileId -> loot_table path)
+  // 3) folderRule.structure_defaults (maps tileId -> loot_table path or a full tile rule)
+  // 4) folderRule.structure_overrides (picked by filename prefix or pattern; same values as 3)
 
   const out = {};
 
   // 1) global tile_entities
   const globalScope = config.global || null;
   const g = getTileMap(globalScope);
-  for (const k of Object.keys(g)) out[k] = g[k];
+  for (const k of Object.keys(g)) {
+    out[k] = g[k];
+    sources[k] = "global";
+  }
 
   // 2) folder tile_entities
   const folderTile = getTileMap(folderRule);
-  for (const k of Object.keys(folderTile)) out[k] = folderTile[k];
+  for (const k of Object.keys(folderTile)) {
+    out[k] = folderTile[k];
+    sources[k] = "folder";
+  }
 
   // 3) structure_defaults
   const defaults = folderRule && folderRule.structure_defaults ? folderRule.structure_defaults : null;
   if (defaults && typeof defaults === "object") {
     for (const tileId of Object.keys(defaults)) {
       const lt = defaults[tileId];
-      if (!lt) continue;
-      out[tileId] = { loot_table: lt };
+      if (lt === undefined || lt === "") continue;
+      const isRule = isPlainObject(lt) && !isFallbackList(lt);
+      out[tileId] = isRule ? lt : { loot_table: lt }; // a null loot_table strips loot
+      sources[tileId] = "structure_default";
     }
   }
 
-  // 4) structure_overrides (by filename prefix)
+  // 4) structure_overrides (by filename prefix or pattern)
   const baseName = getStructureBaseName(filePath);
   const override = pickStructureOverride(folderRule, baseName);
   if (override && typeof override === "object") {
     for (const tileId of Object.keys(override)) {
+      if (tileId === "priority") continue;
       const lt = override[tileId];
-      if (!lt) continue;
-      out[tileId] = { loot_table: lt };
+      if (lt === undefined || lt === "") continue;
+      const isRule = isPlainObject(lt) && !isFallbackList(lt);
+      out[tileId] = isRule ? lt : { loot_table: lt }; // a null loot_table strips loot
+      sources[tileId] = "override";
     }
   }
 
   return out;
 }
 
-// -------------------- nbt helpers --------------------
+// -------------------- block matching --------------------
 
-function getListValues(listTag) {
-  if (!listTag || listTag.type !== "list") return [];
-  return listTag.value || [];
+// Tile map keys (tile_entities, structure_defaults, structure_overrides) may name a palette block
+// instead of a tile entity id, optionally with block-state filters:
+//   "minecraft:trapped_chest"
+//   "minecraft:suspicious_gravel[brushed_progress=0]"
+//   "minecraft:chest[minecraft:cardinal_direction=north]"
+// A more specific scope (global < folder < structure_defaults < structure_overrides) wins whatever
+// its key kind; within one scope block keys beat tile id keys, and among block keys the one with
+// the most state filters wins.
+
+const BLOCK_SPEC_RE = /^([a-z0-9_.-]+:[a-z0-9_./-]+)(?:\[(.*)\])?$/i;
+const blockSpecCache = new Map();
+
+function isBlockKey(key) {
+  return String(key).includes(":");
 }
 
-function asInt(tag) {
-  if (!tag) return undefined;
-  return tag.value;
+function parseBlockSpec(spec) {
+  // "ns:name[a=1,b=x]" -> { name, states: { a: "1", b: "x" } }, or null when malformed
+  if (blockSpecCache.has(spec)) return blockSpecCache.get(spec);
+
+  let parsed = null;
+  const m = BLOCK_SPEC_RE.exec(String(spec).trim());
+  if (m) {
+    parsed = { name: m[1].toLowerCase(), states: {} };
+    const body = (m[2] || "").trim();
+    for (const part of body ? body.split(",") : []) {
+      const eq = part.indexOf("=");
+      if (eq <= 0) {
+        parsed = null;
+        break;
+      }
+      const unquote = (x) => x.trim().replace(/^"(.*)"$/, "$1");
+      parsed.states[unquote(part.slice(0, eq))] = unquote(part.slice(eq + 1));
+    }
+  }
+
+  blockSpecCache.set(spec, parsed);
+  return parsed;
 }
 
-// -------------------- diagnostics --------------------
+function getBlockAt(blockPalette, primaryLayer, indexKey) {
+  // resolve a block_position_data index to its palette entry: { name, states }
+  const paletteIndex = primaryLayer[Number(indexKey)];
+  if (paletteIndex == null || paletteIndex < 0 || paletteIndex >= blockPalette.length) return null;
 
-function buildBlockStats(blockPalette, primaryLayer) {
-  const stats = new Map();
-  for (let i = 0; i < primaryLayer.length; i++) {
-    const idxTag = primaryLayer[i];
-    if (!idxTag) continue;
+  const blockState = blockPalette[paletteIndex];
+  if (!blockState || !blockState.name || blockState.name.type !== "string") return null;
 
-    const paletteIndex = asInt(idxTag);
-    if (paletteIndex == null || paletteIndex < 0 || paletteIndex >= blockPalette.length) continue;
+  const states =
+    blockState.states && blockState.states.type === "compound" ? blockState.states.value : {};
+  return { name: blockState.name.value, states };
+}
+
+function stateMatches(tag, expected) {
+  if (!tag) return false;
+  if (tag.type === "byte" && (expected === "true" || expected === "false")) {
+    return (tag.value !== 0) === (expected === "true");
+  }
+  return String(tag.value) === expected;
+}
 
-    const blockStateTag = blockPalette[paletteIndex];
-    if (!blockStateTag || blockStateTag.type !== "compound") continue;
+function blockMatchesSpec(block, spec) {
+  if (!block || !spec) return false;
+  if (block.name.toLowerCase() !== spec.name) return false;
+  for (const [k, v] of Object.entries(spec.states)) {
+    if (!stateMatches(block.states[k], v)) return false;
+  }
+  return true;
+}
 
-    const nameTag = blockStateTag.value.name;
-    if (!nameTag || nameTag.type !== "string") continue;
+const TILE_SOURCE_RANK = { legacy: 0, global: 0, folder: 1, structure_default: 2, override: 3 };
 
-    const blockName = nameTag.value;
-    if (!stats.has(blockName)) {
-      stats.set(blockName, { count: 0, paletteIndices: new Set() });
+function lookupTileRuleKey(tileConfig, tileId, block, sources = {}) {
+  // the matching key from the most specific scope (sources: key -> the scope that set it, as
+  // filled by buildPerFileTileConfig), null when neither a block key nor the tile id matches
+  const rank = (key) => (TILE_SOURCE_RANK[sources[key]] ?? 0) * 1000;
+  let best = tileConfig[tileId] ? tileId : null;
+  let bestScore = best ? rank(best) : -1;
+  if (block) {
+    for (const key of Object.keys(tileConfig)) {
+      if (!isBlockKey(key)) continue;
+      const spec = parseBlockSpec(key);
+      if (!blockMatchesSpec(block, spec)) continue;
+      const score = rank(key) + 1 + Object.keys(spec.states).length;
+      if (score >= bestScore) {
+        best = key;
+        bestScore = score;
+      }
     }
-    const s = stats.get(blockName);
-    s.count++;
-    s.paletteIndices.add(paletteIndex);
   }
-  return stats;
+  return best;
 }
 
-function buildTileEntityStats(blockPosDataTag) {
-  const stats = new Map();
-  if (!blockPosDataTag || blockPosDataTag.type !== "compound") return stats;
+// -------------------- position rules --------------------
 
-  const posMap = blockPosDataTag.value;
-  for (const indexKey of Object.keys(posMap)) {
-    const posEntryTag = posMap[indexKey];
-    if (!posEntryTag || posEntryTag.type !== "compound") continue;
+// position_rules (on global or a folder rule) pick a loot table by where the container sits
+// inside the structure. Each rule filters on any of:
+//   "tile": "Chest" | ["Chest", "Barrel"]       tile entity id(s)
+//   "structure": "tower" | ["tower", "keep"]    filename prefix, like structure_overrides keys
+//   "block": "minecraft:trapped_chest" | [...]  palette block name(s), with optional [state=value]
+//   "y": [min, max]                             inclusive; null for an open end
+//   "box": { "min": [x, y, z], "max": [x, y, z] } inclusive
+//   "nearest_center": true                      only the matching container closest to the centre
+// and carries loot_table / seed / seed_strategy like a tile_entities entry. Later rules win.
 
-    const bedTag = posEntryTag.value.block_entity_data;
-    if (!bedTag || bedTag.type !== "compound") continue;
+function decodeBlockIndex(indexKey, size) {
+  // block_indices run z fastest, then y, then x: index = (x * sizeY + y) * sizeZ + z
+  const i = Number(indexKey);
+  if (!Number.isInteger(i) || i < 0 || size.length !== 3) return null;
+  const [, sy, sz] = size;
+  if (!sy || !sz) return null;
+  return { x: Math.floor(i / (sy * sz)), y: Math.floor(i / sz) % sy, z: i % sz };
+}
 
-    const idTag = bedTag.value.id;
-    if (!idTag || idTag.type !== "string") continue;
+function encodeBlockIndex(pos, size) {
+  const [, sy, sz] = size;
+  return (pos.x * sy + pos.y) * sz + pos.z;
+}
 
-    const id = idTag.value;
-    stats.set(id, (stats.get(id) || 0) + 1);
+function getPositionRules(config, folderRule) {
+  const out = [];
+  for (const scope of [config.global, folderRule]) {
+    if (scope && Array.isArray(scope.position_rules)) out.push(...scope.position_rules);
   }
-  return stats;
+  return out;
 }
 
-function printDiagnostics(fileName, blockPalette, primaryLayer, blockPosDataTag) {
-  console.log(`\n=== Diagnostic for ${fileName} ===`);
-
-  const blockStats = buildBlockStats(blockPalette, primaryLayer);
-  const tileStats = buildTileEntityStats(blockPosDataTag);
+function inRange(v, lo, hi) {
+  return (
+    (lo === null || lo === undefined || v >= lo) && (hi === null || hi === undefined || v <= hi)
+  );
+}
 
-  if (primaryLayer.length === 0 || blockStats.size === 0) {
-    console.log("No blocks found in primary layer.");
-  } else {
-    console.log("\nBlocks (by name):");
-    for (const [name, info] of blockStats.entries()) {
-      const indicesStr = Array.from(info.paletteIndices).sort((a, b) => a - b).join(", ");
-      console.log(`  ${name} -> count=${info.count}, paletteIndices=[${indicesStr}]`);
+function positionRuleMatches(rule, entity, structureBaseName) {
+  // signs, beds, ... only when the rule names them by tile or block
+  if (rule.tile === undefined && rule.block === undefined) {
+    const known =
+      KNOWN_TILE_IDS.includes(entity.tileId) || KNOWN_CONTAINER_ENTITY_IDS.includes(entity.tileId);
+    if (!known) return false;
+  }
+  if (rule.tile !== undefined) {
+    const tiles = Array.isArray(rule.tile) ? rule.tile : [rule.tile];
+    if (!tiles.includes(entity.tileId)) return false;
+  }
+  if (rule.structure !== undefined) {
+    const keys = Array.isArray(rule.structure) ? rule.structure : [rule.structure];
+    if (!keys.some((k) => matchesStructureKey(structureBaseName, k))) {
+      return false;
     }
   }
 
-  if (tileStats.size === 0) {
-    console.log("\nTile entities: none found in block_position_data.");
-  } else {
-    console.log("\nTile entities (block_entity_data.id):");
-    for (const [id, count] of tileStats.entries()) {
-      console.log(`  ${id} -> count=${count}`);
-    }
+  if (rule.block !== undefined) {
+    const specs = Array.isArray(rule.block) ? rule.block : [rule.block];
+    if (!specs.some((b) => blockMatchesSpec(entity.block, parseBlockSpec(b)))) return false;
   }
 
-  console.log("=== End diagnostic ===\n");
+  const { pos } = entity;
+  if (!pos) return false;
+  if (rule.y && !inRange(pos.y, rule.y[0], rule.y[1])) return false;
+  if (rule.box) {
+    const { min, max } = rule.box;
+    if (!inRange(pos.x, min[0], max[0])) return false;
+    if (!inRange(pos.y, min[1], max[1])) return false;
+    if (!inRange(pos.z, min[2], max[2])) return false;
+  }
+  return true;
 }
 
-// -------------------- loot reporting --------------------
+function resolvePositionRules(rules, entities, size, structureBaseName) {
+  // Returns Map(indexKey -> winning position rule)
+  const out = new Map();
+  if (rules.length === 0) return out;
 
-function buildLootReport(blockPosDataTag) {
-  const rows = [];
-  if (!blockPosDataTag || blockPosDataTag.type !== "compound") return rows;
+  const center = size.length === 3 ? size.map((n) => (n - 1) / 2) : [0, 0, 0];
+  const dist2 = ({ x, y, z }) => (x - center[0]) ** 2 + (y - center[1]) ** 2 + (z - center[2]) ** 2;
 
-  const posMap = blockPosDataTag.value;
-  for (const indexKey of Object.keys(posMap)) {
-    const posEntryTag = posMap[indexKey];
-    if (!posEntryTag || posEntryTag.type !== "compound") continue;
+  for (const rule of rules) {
+    const matching = entities.filter((e) => positionRuleMatches(rule, e, structureBaseName));
+
+    if (rule.nearest_center) {
+      let best = null;
+      for (const e of matching) {
+        if (!best || dist2(e.pos) < dist2(best.pos)) best = e;
+      }
+      if (best) out.set(best.indexKey, rule);
+      continue;
+    }
 
-    const bedTag = posEntryTag.value.block_entity_data;
-    if (!bedTag || bedTag.type !== "compound") continue;
+    for (const e of matching) out.set(e.indexKey, rule);
+  }
 
-    const bedVal = bedTag.value;
-    const idTag = bedVal.id;
-    if (!idTag || idTag.type !== "string") continue;
+  return out;
+}
 
-    const tileId = idTag.value;
-    const lootTable =
-      bedVal.LootTable && bedVal.LootTable.type === "string" ? bedVal.LootTable.value : null;
+// -------------------- seed strategies --------------------
 
-    const lootSeed = bedVal.LootTableSeed
-      ? (bedVal.LootTableSeed.value?.toString?.() ?? String(bedVal.LootTableSeed.value))
-      : null;
+// fixed:     use the configured seed (tile seed, else defaults.seed); same roll everywhere
+// none:      leave LootTableSeed unset so the runtime picks one
+// hash:      stable 64-bit seed from structure path + block_position_data index + tile id
+// hash+salt: like hash, with defaults.seed_salt mixed in (change the salt to reroll everything)
+const SEED_STRATEGIES = ["fixed", "none", "hash", "hash+salt"];
 
-    rows.push({ indexKey, tileId, lootTable, lootSeed });
-  }
+function pickRuleOption(name, config, folderRule, perTileConfig, fallback) {
+  // most specific wins: tile rule -> folder rule -> defaults
+  const defaults = config.defaults || {};
+  return (
+    perTileConfig[name] ?? (folderRule ? folderRule[name] : undefined) ?? defaults[name] ?? fallback
+  );
+}
 
-  return rows;
+function pickSeedStrategy(config, folderRule, perTileConfig) {
+  return pickRuleOption("seed_strategy", config, folderRule, perTileConfig, "fixed");
 }
 
-function printLootReport(fileName, rows) {
-  console.log(`\n=== LootTable report for ${fileName} ===`);
+function hashSeed(parts) {
+  const digest = crypto.createHash("sha256").update(parts.join("\0")).digest();
+  return digest.readBigInt64LE(0);
+}
 
-  if (rows.length === 0) {
-    console.log("No containers/tile entities found.");
-    console.log("=== End report ===\n");
-    return;
+function resolveSeed(strategy, ctx) {
+  // Returns a BigInt, or null when LootTableSeed should be removed.
+  const { fixedSeed, salt, relPath, indexKey, tileId } = ctx;
+  switch (strategy) {
+    case "none":
+      return null;
+    case "hash":
+      return hashSeed([relPath, indexKey, tileId]);
+    case "hash+salt":
+      return hashSeed([String(salt), relPath, indexKey, tileId]);
+    case "fixed":
+    default:
+      if (fixedSeed === null || fixedSeed === undefined || fixedSeed === "") return null;
+      return BigInt(fixedSeed);
   }
+}
 
-  const byType = new Map();
-  for (const r of rows) {
-    if (!byType.has(r.tileId)) byType.set(r.tileId, []);
-    byType.get(r.tileId).push(r);
-  }
+// -------------------- weighted loot choices --------------------
 
-  for (const [tileId, list] of byType.entries()) {
-    const withLoot = list.filter((x) => x.lootTable && String(x.lootTable).trim() !== "");
-    const withoutLoot = list.length - withLoot.length;
+// A loot table value is either a plain path or a weighted list:
+//   [{ "loot_table": "<loot>", "weight": 70 }, { "loot_table": "<rare>", "weight": 5, "min": 1, "max": 1 }]
+// min/max are per structure (and per tile id) guarantees.
 
-    console.log(
-      `\n${tileId}: total=${list.length}, withLoot=${withLoot.length}, withoutLoot=${withoutLoot}`
-    );
-    for (const r of list) {
-      console.log(
-        `  #${r.indexKey}: LootTable=${r.lootTable ?? "(none)"} Seed=${r.lootSeed ?? "(none)"}`
-      );
+function normalizeLootChoices(lootTable) {
+  const list = Array.isArray(lootTable) ? lootTable : [lootTable];
+  return list.map((c) => {
+    if (typeof c === "string" || isFallbackList(c)) {
+      return { loot_table: c, weight: 1, min: 0, max: Infinity };
     }
-  }
+    return {
+      loot_table: c.loot_table,
+      weight: c.weight ?? 1,
+      min: c.min ?? 0,
+      max: c.max ?? Infinity
+    };
+  });
+}
 
-  console.log("\n=== End report ===\n");
+function hashUnit(parts) {
+  // stable value in [0, 1)
+  const digest = crypto.createHash("sha256").update(parts.join("\0")).digest();
+  return digest.readUInt32LE(0) / 2 ** 32;
 }
 
-// -------------------- example-config writer (Option B) --------------------
+function allocateLootChoices(choices, containers, relPath) {
+  // containers: [{ indexKey, tileId }] that all share this choice list.
+  // Returns { assigned: Map(indexKey -> loot table), warnings: string[] }.
+  const assigned = new Map();
+  const warnings = [];
+  const counts = choices.map(() => 0);
 
-async function maybeWriteExampleConfig(settings) {
-  const enabled = Boolean(settings.write_example_config);
-  if (!enabled) return;
+  // deterministic container order, so min/max always land on the same containers
+  const ordered = containers
+    .map((c) => ({ c, order: hashUnit(["order", relPath, c.indexKey, c.tileId]) }))
+    .sort((a, b) => a.order - b.order)
+    .map((x) => x.c);
 
-  const rootDir = process.env.ROOT_DIR || process.cwd();
-  const relPath = settings.example_config_path || "data/loot-config.example.json";
-  const outPath = path.isAbsolute(relPath) ? relPath : path.join(rootDir, relPath);
+  let next = 0;
 
-  // do not overwrite
-  try {
-    await fs.promises.access(outPath, fs.constants.F_OK);
-    console.log(`loot_tabler: example config already exists at ${outPath} (skipping).`);
-    return;
-  } catch {
-    // ok, doesn't exist
-  }
+  // 1) satisfy min guarantees first
+  choices.forEach((choice, i) => {
+    while (counts[i] < choice.min && next < ordered.length) {
+      assigned.set(ordered[next].indexKey, choice.loot_table);
+      counts[i]++;
+      next++;
+    }
+    if (counts[i] < choice.min) {
+      warnings.push(
+        `min=${choice.min} for "${choice.loot_table}" not met (only ${counts[i]} container(s) left to assign)`
+      );
+    }
+  });
 
-  // keep the example small and readable
-  const example = {
-    defaults: { seed: 0, override_existing: false },
-    global: {
-      tile_entities: {
-        DecoratedPot: {
-          loot_table: "loot_tables/chest/decorated_pots_village.json"
-        }
-      }
-    },
-    folders: {
-      "village/plains": {
-        structure_defaults: {
-          Chest: "loot_tables/chests/village/village_plains_house.json",
-          Barrel: "loot_tables/chests/village/village_plains_house.json"
-        },
-        structure_overrides: {
-          armorer: {
-            Chest: "loot_tables/chests/village/village_armorer.json",
-            Barrel: "loot_tables/chests/village/village_armorer.json"
-          }
-        }
-      },
-      "castle": {
-        structure_defaults: {
-          Chest: "loot_tables/chest/castle.json",
-          Barrel: "loot_tables/chest/castle.json",
-          DecoratedPot: "loot_tables/chest/decorated_pots_castle.json",
-          BrushableBlock: "loot_tables/chest/brushable.json"
-        }
+  // 2) weighted pick for the rest, skipping choices that reached their max
+  let unassigned = 0;
+  for (; next < ordered.length; next++) {
+    const c = ordered[next];
+    const eligible = [];
+    choices.forEach((choice, i) => {
+      if (choice.weight > 0 && counts[i] < choice.max) eligible.push(i);
+    });
+
+    if (eligible.length === 0) {
+      unassigned++;
+      continue;
+    }
+
+    const total = eligible.reduce((sum, i) => sum + choices[i].weight, 0);
+    let r = hashUnit(["pick", relPath, c.indexKey, c.tileId]) * total;
+    let picked = eligible[eligible.length - 1];
+    for (const i of eligible) {
+      r -= choices[i].weight;
+      if (r < 0) {
+        picked = i;
+        break;
       }
     }
-  };
 
-  await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
-  await fs.promises.writeFile(outPath, JSON.stringify(example, null, 2), "utf8");
-  console.log(`loot_tabler: wrote example config to ${outPath}`);
-  console.log(
-    `loot_tabler: tip: point loot_config_path at this file, or copy it to data/loot-config.json and customize.`
-  );
-}
+    assigned.set(c.indexKey, choices[picked].loot_table);
+    counts[picked]++;
+  }
 
-// -------------------- core processing --------------------
+  if (unassigned > 0) {
+    warnings.push(`${unassigned} container(s) left unassigned because every choice reached its max`);
+  }
 
-async function processFile(filePath, structuresDir, config, opts) {
-  const { diagnostic, onlyUnassigned, reportLoot } = opts;
+  return { assigned, warnings };
+}
 
-  const buf = await fs.promises.readFile(filePath);
+// -------------------- loot table templates --------------------
 
-  // Bedrock .mcstructure: little-endian, uncompressed NBT.
-  const root = nbt.parseUncompressed(buf, "little");
-  const rootVal = root.value;
+// Loot table paths may use placeholders, filled in per container:
+//   {folder}       structure folder relative to structures_dir ("village/plains")
+//   {folder_name}  last folder segment ("plains")
+//   {structure}    structure name without numeric suffix ("armorer_1" -> "armorer")
+//   {tile}         tile entity id without namespace, lower-case ("chest", "chest_minecart")
+//   {block}        palette block name without namespace ("trapped_chest")
+// { "first_existing": [ ...paths ] } is a fallback chain: the first path that exists in the
+// behavior pack wins. (A plain list is a weighted list, see normalizeLootChoices.)
+const LOOT_PATH_PLACEHOLDERS = ["folder", "folder_name", "structure", "tile", "block"];
+const PLACEHOLDER_RE = /\{([^{}]*)\}/g;
 
-  const structureTag = rootVal.structure;
-  if (!structureTag || structureTag.type !== "compound") {
-    console.warn(`Skipping ${filePath}: no "structure" tag`);
-    return { modifiedCount: 0, skipped: true };
-  }
+const lootFileExistsCache = new Map();
 
-  const structureVal = structureTag.value;
-  const blockIndicesTag = structureVal.block_indices;
-  const paletteTag = structureVal.palette;
+function isFallbackList(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v) && "first_existing" in v;
+}
 
-  if (!paletteTag || paletteTag.type !== "compound") {
-    console.warn(`Skipping ${filePath}: no "palette" compound`);
-    return { modifiedCount: 0, skipped: true };
-  }
+function hasPlaceholders(lootPath) {
+  return typeof lootPath === "string" && /\{[^{}]*\}/.test(lootPath);
+}
 
-  const defaultPaletteTag = paletteTag.value.default;
-  if (!defaultPaletteTag || defaultPaletteTag.type !== "compound") {
-    console.warn(`Skipping ${filePath}: no "palette.default"`);
-    return { modifiedCount: 0, skipped: true };
-  }
+function getStructureTemplateName(filePath) {
+  // "armorer_1" -> "armorer", "house_small_12" -> "house_small"
+  return getStructureBaseName(filePath).replace(/[_-]?\d+$/, "");
+}
 
-  const defaultPaletteVal = defaultPaletteTag.value;
+function lootPathContext(relToStructures, tileId, block) {
+  const stripNs = (id) => String(id).replace(/^[^:]*:/, "");
+  const dir = normRel(path.posix.dirname(relToStructures)).replace(/^\.$/, "");
+  const tile = stripNs(tileId).toLowerCase();
+  return {
+    folder: dir,
+    folder_name: dir ? dir.split("/").pop() : "",
+    structure: getStructureTemplateName(relToStructures),
+    tile,
+    // container entities have no block; fall back to the same lowercase id as {tile}
+    block: block ? stripNs(block.name) : tile
+  };
+}
 
-  const blockPaletteTag = defaultPaletteVal.block_palette;
-  const blockPalette = blockPaletteTag ? getListValues(blockPaletteTag) : [];
+function expandLootPath(template, ctx) {
+  const filled = template.replace(PLACEHOLDER_RE, (m, name) => (name in ctx ? ctx[name] : m));
+  return filled.replace(/\/{2,}/g, "/");
+}
+
+async function lootFileExists(bpDir, lootPath) {
+  const full = path.resolve(bpDir, lootPath);
+  if (!lootFileExistsCache.has(full)) lootFileExistsCache.set(full, await fileExists(full));
+  return lootFileExistsCache.get(full);
+}
 
-  const blockIndicesLayers = blockIndicesTag ? getListValues(blockIndicesTag) : [];
-  const primaryLayer = blockIndicesLayers.length > 0 ? getListValues(blockIndicesLayers[0]) : [];
+async function resolveLootTableValue(value, ctx, bpDir) {
+  // Returns { lootTable, candidate } where candidate describes the fallback entry that was picked;
+  // lootTable is null (with `tried`) when no fallback path exists.
+  if (!isFallbackList(value)) return { lootTable: expandLootPath(value, ctx), candidate: null };
 
-  // block_position_data holds all block entities (containers, brushables, pots, etc.)
-  let blockPosDataTag = defaultPaletteVal.block_position_data;
-  if (!blockPosDataTag) {
-    blockPosDataTag = { type: "compound", value: {} };
-    defaultPaletteVal.block_position_data = blockPosDataTag;
+  const list = value.first_existing;
+  const tried = [];
+  for (let i = 0; i < list.length; i++) {
+    const lootPath = expandLootPath(list[i], ctx);
+    if (await lootFileExists(bpDir, lootPath)) {
+      return { lootTable: lootPath, candidate: `${i + 1}/${list.length} ${list[i]}` };
+    }
+    tried.push(lootPath);
   }
-  const blockPosDataVal = blockPosDataTag.value;
+  return { lootTable: null, candidate: null, tried };
+}
 
-  const fileName = path.relative(process.cwd(), filePath);
+// -------------------- items policy --------------------
+
+// What to do with containers that already hold hand-placed Items:
+//   keep:  assign the loot table and leave Items alone (default)
+//   skip:  leave containers with Items untouched
+//   clear: remove Items, then assign the loot table
+const ITEMS_POLICIES = ["keep", "skip", "clear"];
+
+function pickItemsPolicy(config, folderRule, perTileConfig) {
+  return pickRuleOption("items_policy", config, folderRule, perTileConfig, "keep");
+}
+
+// -------------------- nbt helpers --------------------
+
+function getListValues(listTag) {
+  // prismarine-nbt lists look like { type: "list", value: { type: <element type>, value: [...] } }
+  if (!listTag || listTag.type !== "list" || !listTag.value) return [];
+  return listTag.value.value || [];
+}
+
+function formatLong(value) {
+  // prismarine-nbt reads longs as [high, low] int32 pairs; we write them as BigInt
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value) && value.length === 2) {
+    const big = (BigInt(value[0]) << 32n) | BigInt(value[1] >>> 0);
+    return BigInt.asIntN(64, big).toString();
+  }
+  return String(value);
+}
+
+function getPrimaryLayer(blockIndicesTag) {
+  // block_indices is a list of two int lists (primary layer, waterlog layer)
+  const layers = getListValues(blockIndicesTag);
+  return layers.length > 0 && Array.isArray(layers[0].value) ? layers[0].value : [];
+}
+
+function getEntityIdentifier(entVal) {
+  const idTag = entVal && entVal.identifier;
+  return idTag && idTag.type === "string" ? idTag.value : null;
+}
+
+function decodeEntityPos(entVal, worldOrigin) {
+  // entity Pos is in world coordinates; make it relative to the structure origin
+  const p = getListValues(entVal.Pos);
+  if (p.length !== 3) return null;
+  const o = worldOrigin.length === 3 ? worldOrigin : [0, 0, 0];
+  return { x: Math.floor(p[0] - o[0]), y: Math.floor(p[1] - o[1]), z: Math.floor(p[2] - o[2]) };
+}
+
+// -------------------- structure editions --------------------
+
+// Bedrock .mcstructure files are little-endian, uncompressed NBT. Java structure-block .nbt files
+// are big-endian and usually gzipped, with block entities in blocks[].nbt and a "palette" (or
+// "palettes") list. Both are read into one view:
+//   { edition, size, tiles, mobs, blockStats, grid, where }
+// grid is { palette: [{ name, states }], indices: [palette index or -1 per block index] }.
+// tiles (block entities) and mobs (entities) are { indexKey, id, bedVal, pos, block }, where
+// bedVal is the compound holding LootTable / LootTableSeed / Items. Java blocks get the same
+// indexKey a Bedrock block at that position would have, so "hash" seeds agree across editions.
+
+const EDITIONS = ["bedrock", "java"];
+const EDITION_KEYS = ["tile_ids", "loot_tables", "loot_table_namespace"];
+
+// Java ids -> the ids config keys use; config.editions.java.tile_ids adds to or replaces these
+const JAVA_TILE_IDS = {
+  "minecraft:chest": "Chest",
+  "minecraft:trapped_chest": "Chest",
+  "minecraft:barrel": "Barrel",
+  "minecraft:shulker_box": "ShulkerBox",
+  "minecraft:dispenser": "Dispenser",
+  "minecraft:dropper": "Dropper",
+  "minecraft:hopper": "Hopper",
+  "minecraft:crafter": "Crafter",
+  "minecraft:brushable_block": "BrushableBlock",
+  "minecraft:decorated_pot": "DecoratedPot",
+  "minecraft:bamboo_chest_raft": "minecraft:chest_boat"
+};
+for (const wood of [
+  "oak",
+  "spruce",
+  "birch",
+  "jungle",
+  "acacia",
+  "dark_oak",
+  "mangrove",
+  "cherry",
+  "pale_oak"
+]) {
+  JAVA_TILE_IDS[`minecraft:${wood}_chest_boat`] = "minecraft:chest_boat";
+}
+
+function readStructureBuffer(buf) {
+  // -> { root, format: { edition, gzip } }. Gzipped data is Java; otherwise Bedrock, unless the
+  // little-endian read fails or finds no "structure" tag and a big-endian read finds "blocks".
+  if (buf[0] === 0x1f && buf[1] === 0x8b) {
+    const root = nbt.parseUncompressed(zlib.gunzipSync(buf), "big");
+    return { root, format: { edition: "java", gzip: true } };
+  }
+
+  let little = null;
+  let littleErr = null;
+  try {
+    little = nbt.parseUncompressed(buf, "little");
+    const format = { edition: "bedrock", gzip: false };
+    if (little.value.structure) return { root: little, format };
+  } catch (err) {
+    littleErr = err;
+  }
+  try {
+    const root = nbt.parseUncompressed(buf, "big");
+    if (root.value.blocks || !little) return { root, format: { edition: "java", gzip: false } };
+  } catch (err) {
+    if (!little) throw littleErr;
+  }
+  return { root: little, format: { edition: "bedrock", gzip: false } };
+}
+
+function writeStructureBuffer(root, format) {
+  if (format.edition === "bedrock") return nbt.writeUncompressed(root, "little");
+  const raw = nbt.writeUncompressed(root, "big");
+  return format.gzip ? zlib.gzipSync(raw) : raw;
+}
+
+function readBedrockView(rootVal, fileName) {
+  const structureTag = rootVal.structure;
+  if (!structureTag || structureTag.type !== "compound") {
+    console.warn(`Skipping ${fileName}: no "structure" tag`);
+    return null;
+  }
+
+  const structureVal = structureTag.value;
+  const paletteTag = structureVal.palette;
+  if (!paletteTag || paletteTag.type !== "compound") {
+    console.warn(`Skipping ${fileName}: no "palette" compound`);
+    return null;
+  }
+
+  const defaultPaletteTag = paletteTag.value.default;
+  if (!defaultPaletteTag || defaultPaletteTag.type !== "compound") {
+    console.warn(`Skipping ${fileName}: no "palette.default"`);
+    return null;
+  }
+
+  const defaultPaletteVal = defaultPaletteTag.value;
+  const blockPaletteTag = defaultPaletteVal.block_palette;
+  const blockPalette = blockPaletteTag ? getListValues(blockPaletteTag) : [];
+  const primaryLayer = getPrimaryLayer(structureVal.block_indices);
+  const size = getListValues(rootVal.size);
+
+  // block_position_data holds all block entities (containers, brushables, pots, etc.)
+  const blockPosDataTag = defaultPaletteVal.block_position_data;
+  const blockPosDataVal =
+    blockPosDataTag && blockPosDataTag.type === "compound" ? blockPosDataTag.value : {};
+
+  const tiles = [];
+  for (const indexKey of Object.keys(blockPosDataVal)) {
+    const posEntryTag = blockPosDataVal[indexKey];
+    if (!posEntryTag || posEntryTag.type !== "compound") continue;
+
+    const blockEntityDataTag = posEntryTag.value.block_entity_data;
+    if (!blockEntityDataTag || blockEntityDataTag.type !== "compound") continue;
+
+    const bedVal = blockEntityDataTag.value;
+    const idTag = bedVal.id;
+    if (!idTag || idTag.type !== "string") continue;
+
+    tiles.push({
+      indexKey,
+      id: idTag.value, // e.g. "Chest", "Barrel", "BrushableBlock", "DecoratedPot"
+      bedVal,
+      pos: decodeBlockIndex(indexKey, size),
+      block: getBlockAt(blockPalette, primaryLayer, indexKey)
+    });
+  }
+
+  // Container entities (chest minecarts, chest boats) live in structure.entities
+  const worldOrigin = getListValues(rootVal.structure_world_origin);
+  const mobs = [];
+  getListValues(structureVal.entities).forEach((entVal, i) => {
+    const id = getEntityIdentifier(entVal);
+    if (!id) return;
+    mobs.push({
+      indexKey: `entity:${i}`,
+      id,
+      bedVal: entVal,
+      pos: decodeEntityPos(entVal, worldOrigin),
+      block: null
+    });
+  });
+
+  return {
+    edition: "bedrock",
+    size,
+    tiles,
+    mobs,
+    blockStats: buildBlockStats(blockPalette, primaryLayer),
+    grid: {
+      palette: blockPalette.map((_, i) => getBlockAt(blockPalette, [i], 0)), // { name, states }
+      indices: primaryLayer
+    },
+    where: {
+      blocks: "primary layer",
+      tiles: "block_position_data",
+      tileId: "block_entity_data.id",
+      mobs: "structure.entities",
+      mobId: "identifier"
+    }
+  };
+}
+
+function readJavaView(rootVal, fileName) {
+  if (!rootVal.blocks || rootVal.blocks.type !== "list") {
+    console.warn(`Skipping ${fileName}: no "blocks" list`);
+    return null;
+  }
+
+  const size = getListValues(rootVal.size);
+  // "palettes" holds variants of one structure (shipwrecks); the first one names the blocks
+  const firstPalette = getListValues(rootVal.palettes)[0];
+  const palette = rootVal.palette
+    ? getListValues(rootVal.palette)
+    : firstPalette && Array.isArray(firstPalette.value)
+      ? firstPalette.value
+      : [];
+
+  const blocks = palette.map((b) =>
+    b.Name && b.Name.type === "string"
+      ? {
+          name: b.Name.value,
+          states: b.Properties && b.Properties.type === "compound" ? b.Properties.value : {}
+        }
+      : null
+  );
+
+  const blockStats = new Map();
+  const tiles = [];
+  const volume = size.length === 3 ? size[0] * size[1] * size[2] : 0;
+  const indices = new Array(volume).fill(-1); // blocks missing from "blocks" are structure void
+  for (const entry of getListValues(rootVal.blocks)) {
+    const state = entry.state && entry.state.type === "int" ? entry.state.value : -1;
+    const [x, y, z] = getListValues(entry.pos);
+    const pos = { x, y, z };
+    const index = encodeBlockIndex(pos, size);
+    if (index >= 0 && index < volume) indices[index] = state;
+    const block = blocks[state] || null;
+    if (block) {
+      if (!blockStats.has(block.name)) {
+        blockStats.set(block.name, { count: 0, paletteIndices: new Set() });
+      }
+      blockStats.get(block.name).count++;
+      blockStats.get(block.name).paletteIndices.add(state);
+    }
+
+    const nbtTag = entry.nbt;
+    if (!nbtTag || nbtTag.type !== "compound") continue;
+    const idTag = nbtTag.value.id;
+    if (!idTag || idTag.type !== "string") continue;
+
+    tiles.push({
+      indexKey: String(index),
+      id: idTag.value, // e.g. "minecraft:chest"
+      bedVal: nbtTag.value,
+      pos,
+      block
+    });
+  }
+
+  // entity "pos" is fractional; "blockPos" is the block it stands in, relative to the structure
+  const mobs = [];
+  getListValues(rootVal.entities).forEach((entry, i) => {
+    const nbtTag = entry.nbt;
+    if (!nbtTag || nbtTag.type !== "compound") return;
+    const idTag = nbtTag.value.id;
+    if (!idTag || idTag.type !== "string") return;
+
+    const blockPos = getListValues(entry.blockPos);
+    const p = blockPos.length === 3 ? blockPos : getListValues(entry.pos).map(Math.floor);
+    mobs.push({
+      indexKey: `entity:${i}`,
+      id: idTag.value,
+      bedVal: nbtTag.value,
+      pos: p.length === 3 ? { x: p[0], y: p[1], z: p[2] } : null,
+      block: null
+    });
+  });
+
+  return {
+    edition: "java",
+    size,
+    tiles,
+    mobs,
+    blockStats,
+    grid: {
+      palette: blocks,
+      indices
+    },
+    where: {
+      blocks: "blocks",
+      tiles: "blocks[].nbt",
+      tileId: "nbt.id",
+      mobs: "entities",
+      mobId: "nbt.id"
+    }
+  };
+}
+
+function readStructureView(root, format, fileName) {
+  return format.edition === "java"
+    ? readJavaView(root.value, fileName)
+    : readBedrockView(root.value, fileName);
+}
+
+function getEditionMapping(config, edition) {
+  // config.editions.<edition>: { tile_ids, loot_tables, loot_table_namespace }
+  const own = (config.editions && config.editions[edition]) || {};
+  return {
+    edition,
+    tileIds: { ...(edition === "java" ? JAVA_TILE_IDS : {}), ...(own.tile_ids || {}) },
+    lootTables: own.loot_tables || {},
+    namespace: own.loot_table_namespace || "minecraft"
+  };
+}
+
+function toConfigTileId(mapping, id) {
+  return mapping.tileIds[id] ?? id;
+}
+
+function toEditionLootTable(mapping, lootTable) {
+  // config loot tables are Bedrock paths; Java wants a namespaced id:
+  //   "loot_tables/chests/village/armorer.json" -> "minecraft:chests/village/armorer"
+  if (Object.prototype.hasOwnProperty.call(mapping.lootTables, lootTable)) {
+    return mapping.lootTables[lootTable];
+  }
+  if (mapping.edition !== "java" || lootTable.includes(":")) return lootTable;
+  const id = normRel(lootTable)
+    .replace(/^loot_tables\//, "")
+    .replace(/\.json$/i, "");
+  return `${mapping.namespace}:${id}`;
+}
+
+function fromEditionLootTable(mapping, lootTable) {
+  // inverse of toEditionLootTable, for tables read back out of structures (extract_config)
+  for (const [configTable, editionTable] of Object.entries(mapping.lootTables)) {
+    if (editionTable === lootTable) return configTable;
+  }
+  if (mapping.edition !== "java" || !lootTable) return lootTable;
+  return `loot_tables/${lootTable.replace(/^[^:]*:/, "")}.json`;
+}
+
+// -------------------- nbt patches --------------------
+
+// A tile rule's "nbt" maps tag names to typed values that are merged into block_entity_data:
+//   "CustomName": { "type": "string", "value": "Armory" }
+//   "Findable":   { "type": "byte", "value": 1 }
+//   "sherds":     { "type": "list", "element": "string", "value": ["minecraft:skull_pottery_sherd"] }
+//   "display":    { "type": "compound", "value": { "Name": { "type": "string", "value": "x" } } }
+// Compounds merge into an existing compound; every other type replaces the tag.
+const NBT_PATCH_TYPES = ["string", "byte", "int", "long", "list", "compound"];
+const NBT_LIST_ELEMENT_TYPES = ["string", "byte", "int", "long", "compound"];
+const NBT_RESERVED_TAGS = ["id", "LootTable", "LootTableSeed"]; // owned by loot assignment
+
+function toNbtValue(type, value) {
+  if (type === "long") return BigInt(value);
+  if (type === "compound") return toNbtCompound(value);
+  return value;
+}
+
+function toNbtCompound(patch) {
+  const out = {};
+  for (const name of Object.keys(patch)) out[name] = toNbtTag(patch[name]);
+  return out;
+}
+
+function toNbtTag(spec) {
+  if (spec.type === "list") {
+    const element = spec.value.length > 0 ? spec.element : "end";
+    return {
+      type: "list",
+      value: { type: element, value: spec.value.map((v) => toNbtValue(spec.element, v)) }
+    };
+  }
+  return { type: spec.type, value: toNbtValue(spec.type, spec.value) };
+}
+
+function nbtTagsEqual(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.type === "long") return formatLong(a.value) === formatLong(b.value);
+  if (a.type === "compound") return nbtCompoundsEqual(a.value, b.value);
+  if (a.type === "list") {
+    const av = a.value.value;
+    const bv = b.value.value;
+    if (av.length !== bv.length) return false;
+    if (av.length > 0 && a.value.type !== b.value.type) return false;
+    return av.every((v, i) =>
+      nbtTagsEqual({ type: a.value.type, value: v }, { type: a.value.type, value: bv[i] })
+    );
+  }
+  return a.value === b.value;
+}
+
+function nbtCompoundsEqual(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((k) => b[k] && nbtTagsEqual(a[k], b[k]));
+}
+
+function applyNbtPatch(target, patch, warn, prefix = "") {
+  // Merges `patch` into the compound value `target`; returns the tag paths that changed.
+  // A tag whose existing type differs from the patch is left alone and reported through `warn`.
+  const changed = [];
+  for (const name of Object.keys(patch)) {
+    const tagPath = prefix ? `${prefix}.${name}` : name;
+    const tag = toNbtTag(patch[name]);
+    const existing = target[name];
+
+    if (existing && existing.type !== tag.type) {
+      warn(`nbt ${tagPath}: existing tag is ${existing.type}, patch is ${tag.type} (not applied)`);
+      continue;
+    }
+    if (existing && tag.type === "list") {
+      const had = existing.value.type;
+      const want = tag.value.type;
+      if (had !== "end" && want !== "end" && had !== want) {
+        warn(`nbt ${tagPath}: existing list holds ${had}, patch holds ${want} (not applied)`);
+        continue;
+      }
+    }
+    if (existing && tag.type === "compound") {
+      changed.push(...applyNbtPatch(existing.value, patch[name].value, warn, tagPath));
+      continue;
+    }
+    if (existing && nbtTagsEqual(existing, tag)) continue;
+
+    target[name] = tag;
+    changed.push(tagPath);
+  }
+  return changed;
+}
+
+// -------------------- markers --------------------
+
+// "markers" let designers pick loot in-game while building, without touching the config:
+//   "markers": {
+//     "name_pattern": "^loot:(.+)$",                     CustomName -> alias (first group)
+//     "blocks": { "minecraft:lime_wool": "castle/armory" },  block directly beneath -> alias
+//     "replace_with": "minecraft:cobblestone",           what a used marker block becomes
+//     "aliases": { "castle/armory": "loot_tables/chests/castle/armory.json" }
+//   }
+// Alias values are loot table paths or full tile rules, like structure_defaults values. A marker
+// beats every other rule (quotas too). Once its alias resolves, the name is removed and the
+// marker block replaced, so markers never ship.
+
+const DEFAULT_MARKER_NAME_PATTERN = "^loot:(.+)$";
+const markerPatternCache = new Map();
+
+function getMarkers(config) {
+  return isPlainObject(config.markers) ? config.markers : null;
+}
+
+function readCustomName(bedVal) {
+  // Bedrock stores plain text; Java a JSON text component ('{"text":"..."}', '"..."') or, since
+  // 1.21.5, a text compound
+  const tag = bedVal.CustomName;
+  if (!tag) return null;
+  if (tag.type === "compound") {
+    const text = tag.value.text;
+    return text && text.type === "string" ? text.value : null;
+  }
+  if (tag.type !== "string") return null;
+  try {
+    const json = JSON.parse(tag.value);
+    if (typeof json === "string") return json;
+    if (isPlainObject(json) && typeof json.text === "string") return json.text;
+  } catch {
+    // plain text
+  }
+  return tag.value;
+}
+
+function resolveMarkerAlias(markers, alias) {
+  const aliases = isPlainObject(markers.aliases) ? markers.aliases : {};
+  if (!Object.prototype.hasOwnProperty.call(aliases, alias)) return null;
+  const v = aliases[alias];
+  return isPlainObject(v) && !isFallbackList(v) ? v : { loot_table: v };
+}
+
+function isMarkerTarget(tileId, block, tileConfig) {
+  // markers only go on containers (known ids, or ids / blocks the config names), so a sign or
+  // banner standing on a marker block is left alone
+  return (
+    KNOWN_TILE_IDS.includes(tileId) ||
+    KNOWN_CONTAINER_ENTITY_IDS.includes(tileId) ||
+    lookupTileRuleKey(tileConfig, tileId, block) !== null
+  );
+}
+
+function findMarker(markers, entity, grid, size, warn) {
+  // -> { alias, via: "name" | "block", rule, below? } for the container's marker, else null.
+  // An unknown alias is warned about and ignored, leaving the name / block in place.
+  if (!markers) return null;
+
+  const pattern = markers.name_pattern ?? DEFAULT_MARKER_NAME_PATTERN;
+  if (!markerPatternCache.has(pattern)) markerPatternCache.set(pattern, new RegExp(pattern));
+  const name = readCustomName(entity.bedVal);
+  const m = name !== null ? markerPatternCache.get(pattern).exec(name) : null;
+  if (m) {
+    const alias = (m[1] ?? m[0]).trim();
+    const rule = resolveMarkerAlias(markers, alias);
+    if (rule) return { alias, via: "name", rule };
+    warn(`unknown marker alias ${JSON.stringify(alias)} in CustomName ${JSON.stringify(name)}`);
+  }
+
+  // block markers sit under block entities only
+  const { pos } = entity;
+  if (!isPlainObject(markers.blocks) || !pos || entity.indexKey.startsWith("entity:")) return null;
+  if (pos.y < 1) return null;
+  const below = { x: pos.x, y: pos.y - 1, z: pos.z };
+  const block = grid.palette[grid.indices[encodeBlockIndex(below, size)]] || null;
+  const key = lookupTileRuleKey(markers.blocks, null, block);
+  if (!key) return null;
+  const alias = markers.blocks[key];
+  const rule = resolveMarkerAlias(markers, alias);
+  if (rule) return { alias, via: "block", rule, below, block: block.name };
+  warn(`unknown marker alias ${JSON.stringify(alias)} for marker block ${block.name}`);
+  return null;
+}
+
+function describeMarker(marker) {
+  return marker.via === "name"
+    ? `marker ${JSON.stringify(marker.alias)} (CustomName)`
+    : `marker ${JSON.stringify(marker.alias)} (${marker.block} below)`;
+}
+
+function replaceBlock(root, edition, size, pos, blockName) {
+  // points the block at pos to blockName (no block states), adding it to the palette as needed
+  const rootVal = root.value;
+  const index = encodeBlockIndex(pos, size);
+  if (edition === "bedrock") {
+    const paletteVal = rootVal.structure.value.palette.value.default.value;
+    const blockPalette = getListValues(paletteVal.block_palette);
+    let p = blockPalette.findIndex(
+      (b) =>
+        b.name &&
+        b.name.value === blockName &&
+        (!b.states || Object.keys(b.states.value).length === 0)
+    );
+    if (p < 0) {
+      const version = blockPalette.find((b) => b.version);
+      blockPalette.push({
+        name: { type: "string", value: blockName },
+        states: { type: "compound", value: {} },
+        ...(version ? { version: version.version } : {})
+      });
+      p = blockPalette.length - 1;
+    }
+    getPrimaryLayer(rootVal.structure.value.block_indices)[index] = p;
+    return;
+  }
+
+  // Java: "palette", or every variant in "palettes" (they share block indices)
+  const palettes = rootVal.palette
+    ? [getListValues(rootVal.palette)]
+    : getListValues(rootVal.palettes).map((v) => v.value);
+  let p = palettes[0].findIndex((b) => b.Name && b.Name.value === blockName && !b.Properties);
+  if (p < 0) {
+    for (const palette of palettes) palette.push({ Name: { type: "string", value: blockName } });
+    p = palettes[0].length - 1;
+  }
+  for (const entry of getListValues(rootVal.blocks)) {
+    const [x, y, z] = getListValues(entry.pos);
+    if (encodeBlockIndex({ x, y, z }, size) === index) entry.state = { type: "int", value: p };
+  }
+}
+
+// -------------------- diagnostics --------------------
+
+function buildBlockStats(blockPalette, primaryLayer) {
+  const stats = new Map();
+  for (let i = 0; i < primaryLayer.length; i++) {
+    const paletteIndex = primaryLayer[i];
+    if (paletteIndex == null || paletteIndex < 0 || paletteIndex >= blockPalette.length) continue;
+
+    // block_palette entries are compound values: { name, states, version }
+    const blockState = blockPalette[paletteIndex];
+    if (!blockState) continue;
+
+    const nameTag = blockState.name;
+    if (!nameTag || nameTag.type !== "string") continue;
+
+    const blockName = nameTag.value;
+    if (!stats.has(blockName)) {
+      stats.set(blockName, { count: 0, paletteIndices: new Set() });
+    }
+    const s = stats.get(blockName);
+    s.count++;
+    s.paletteIndices.add(paletteIndex);
+  }
+  return stats;
+}
+
+function countIds(list, keyOf) {
+  // id -> { count, key } for view.tiles / view.mobs; key is the id config keys use
+  const stats = new Map();
+  for (const { id } of list) {
+    if (!stats.has(id)) stats.set(id, { count: 0, key: keyOf(id) });
+    stats.get(id).count++;
+  }
+  return stats;
+}
+
+function describeKeyMatch(match) {
+  if (!match) return "(none)";
+  const inherits =
+    match.inherited && match.inherited.length > 0
+      ? `, inherits ${match.inherited.map((k) => JSON.stringify(k)).join(" <- ")}`
+      : "";
+  return `${JSON.stringify(match.key)} (${match.kind}${inherits})`;
+}
+
+function printDiagnostics(fileName, view, matches, keyOf) {
+  console.log(`\n=== Diagnostic for ${fileName} ===`);
+
+  console.log(`\nEdition: ${view.edition}`);
+  console.log(`Folder rule: ${describeKeyMatch(matches.folder)}`);
+  console.log(`Structure override: ${describeKeyMatch(matches.override)}`);
+
+  const { blockStats, where } = view;
+  const keyNote = (id, key) => (key !== id ? ` (config key ${key})` : "");
+
+  if (blockStats.size === 0) {
+    console.log(`No blocks found in ${where.blocks}.`);
+  } else {
+    console.log("\nBlocks (by name):");
+    for (const [name, info] of blockStats.entries()) {
+      const indicesStr = Array.from(info.paletteIndices).sort((a, b) => a - b).join(", ");
+      console.log(`  ${name} -> count=${info.count}, paletteIndices=[${indicesStr}]`);
+    }
+  }
+
+  const tileStats = countIds(view.tiles, keyOf);
+  if (tileStats.size === 0) {
+    console.log(`\nTile entities: none found in ${where.tiles}.`);
+  } else {
+    console.log(`\nTile entities (${where.tileId}):`);
+    for (const [id, { count, key }] of tileStats.entries()) {
+      console.log(`  ${id} -> count=${count}${keyNote(id, key)}`);
+    }
+  }
+
+  const entityStats = countIds(view.mobs, keyOf);
+  if (entityStats.size === 0) {
+    console.log(`\nEntities: none found in ${where.mobs}.`);
+  } else {
+    console.log(`\nEntities (${where.mobId}):`);
+    for (const [id, { count, key }] of entityStats.entries()) {
+      const tag = KNOWN_CONTAINER_ENTITY_IDS.includes(key) ? " (container)" : "";
+      console.log(`  ${id} -> count=${count}${tag}${keyNote(id, key)}`);
+    }
+  }
+
+  console.log("=== End diagnostic ===\n");
+}
+
+// -------------------- loot reporting --------------------
+
+function buildLootReport(view, keyOf) {
+  // one row per block entity, plus container entities (or entities that carry a LootTable)
+  const row = ({ indexKey, bedVal, pos, block }, tileId) => {
+    const state = readLootState(bedVal);
+    return {
+      indexKey,
+      tileId,
+      lootTable: state.lootTable,
+      lootSeed: state.seed,
+      itemCount: getListValues(bedVal.Items).length,
+      blockName: block ? block.name : null,
+      pos,
+      edition: view.edition
+    };
+  };
+
+  const rows = view.tiles.map((t) => row(t, keyOf(t.id)));
+  for (const m of view.mobs) {
+    const tileId = keyOf(m.id);
+    const hasLoot = Boolean(readLootState(m.bedVal).lootTable);
+    if (KNOWN_CONTAINER_ENTITY_IDS.includes(tileId) || hasLoot) rows.push(row(m, tileId));
+  }
+  return rows;
+}
+
+function printLootReport(fileName, rows) {
+  console.log(`\n=== LootTable report for ${fileName} ===`);
+
+  if (rows.length === 0) {
+    console.log("No containers/tile entities found.");
+    console.log("=== End report ===\n");
+    return;
+  }
+
+  const byType = new Map();
+  for (const r of rows) {
+    if (!byType.has(r.tileId)) byType.set(r.tileId, []);
+    byType.get(r.tileId).push(r);
+  }
+
+  for (const [tileId, list] of byType.entries()) {
+    const withLoot = list.filter((x) => x.lootTable && String(x.lootTable).trim() !== "");
+    const withoutLoot = list.length - withLoot.length;
+
+    console.log(
+      `\n${tileId}: total=${list.length}, withLoot=${withLoot.length}, withoutLoot=${withoutLoot}`
+    );
+    for (const r of list) {
+      console.log(
+        `  #${r.indexKey}: LootTable=${r.lootTable ?? "(none)"} Seed=${r.lootSeed ?? "(none)"}` +
+          (r.itemsBefore > 0
+            ? ` Items=${r.itemsBefore} (items_policy ${r.itemsPolicy ?? "n/a"})`
+            : "") +
+          (r.lootCandidate ? ` (fallback candidate ${r.lootCandidate})` : "") +
+          (r.quota ? ` (quota ${JSON.stringify(r.quota)})` : "") +
+          (r.marker ? ` (marker ${JSON.stringify(r.marker)})` : "")
+      );
+    }
+  }
+
+  console.log("\n=== End report ===\n");
+}
+
+// -------------------- dry run --------------------
+
+function readLootState(bedVal) {
+  const lt = bedVal.LootTable && bedVal.LootTable.type === "string" ? bedVal.LootTable.value : null;
+  const seed = bedVal.LootTableSeed ? formatLong(bedVal.LootTableSeed.value) : null;
+  return { lootTable: lt, seed };
+}
+
+function formatLootState(state) {
+  return `${state.lootTable ?? "(none)"} seed=${state.seed ?? "(none)"}`;
+}
+
+function printDryRunPlan(fileName, changes) {
+  console.log(`\n=== Dry run plan for ${fileName} ===`);
+
+  if (changes.length === 0) {
+    console.log("No containers/tile entities found.");
+  }
+
+  for (const c of changes) {
+    const items =
+      c.itemCount > 0 ? `, items=${c.itemCount} (items_policy ${c.itemsPolicy ?? "n/a"})` : "";
+    const label = `#${c.indexKey} ${c.tileId}${c.blockName ? ` (${c.blockName})` : ""}${items}`;
+    const same =
+      c.action === "assign" &&
+      c.after.lootTable === c.before.lootTable &&
+      c.after.seed === c.before.seed;
+    const rule = c.action === "strip" ? `strip; ${c.rule}` : c.rule;
+    if (same) {
+      console.log(`  ${label}: ${formatLootState(c.after)} (no change) [${rule}]`);
+    } else if (c.after) {
+      console.log(
+        `  ${label}: ${formatLootState(c.before)} -> ${formatLootState(c.after)} [${rule}]`
+      );
+    } else {
+      const why = c.rule ? `${c.skipReason}; rule ${c.rule}` : c.skipReason;
+      console.log(`  ${label}: unchanged, ${formatLootState(c.before)} (${why})`);
+    }
+    if (c.lootCandidate) console.log(`    fallback candidate ${c.lootCandidate}`);
+    if (c.markerCleared) console.log(`    marker: ${c.markerCleared}`);
+    if (c.patched.length > 0) console.log(`    nbt: ${c.patched.join(", ")}`);
+  }
+
+  console.log("=== End plan ===\n");
+}
+
+// -------------------- coverage --------------------
+
+function matchesStructurePath(key, relToStructures) {
+  // folder-style key (prefix, glob or "re:"), or an exact structure path without extension
+  const relDir = normRel(path.posix.dirname(relToStructures)).replace(/^\.$/, "");
+  const relPathNoExt = relToStructures.replace(STRUCTURE_EXT_RE, "");
+  if (normRel(key) === relPathNoExt) return true;
+  return matchFolderKey(key, relDir, relPathNoExt) !== null;
+}
+
+// Hoppers, droppers, dispensers and crafters can hold a LootTable but are not loot containers;
+// coverage_tile_ids replaces this list (container entities always count).
+const DEFAULT_COVERAGE_TILE_IDS = ["Chest", "Barrel", "ShulkerBox"];
+
+function readCoverageTileIds(settings) {
+  const v = settings.coverage_tile_ids ?? DEFAULT_COVERAGE_TILE_IDS;
+  if (Array.isArray(v) && v.every((id) => typeof id === "string" && id !== "")) return v;
+  throw new Error(
+    `Invalid coverage_tile_ids setting ${JSON.stringify(v)}; expected a list of tile ids.`
+  );
+}
+
+function isLootContainer(tileId, tileIds) {
+  // what coverage and the html report count as a container
+  return tileIds.includes(tileId) || KNOWN_CONTAINER_ENTITY_IDS.includes(tileId);
+}
+
+function computeCoverage(rows, settings, tileIds) {
+  // Counts loot containers (tileIds plus container entities) left with no LootTable and no Items
+  // after processing.
+  const allowlist = settings.coverage_allowlist || [];
+  const requiredFolders = settings.coverage_required_folders || [];
+  const maxEmpty = settings.coverage_max_empty ?? 0;
+
+  let total = 0;
+  let allowlisted = 0;
+  const empty = new Map(); // structure -> Map(tileId -> count)
+  let emptyCount = 0;
+
+  for (const r of rows) {
+    if (!isLootContainer(r.tileId, tileIds)) continue;
+    if (allowlist.some((k) => matchesStructurePath(k, r.structure))) {
+      allowlisted++;
+      continue;
+    }
+    total++;
+
+    const hasLoot = r.lootTable && String(r.lootTable).trim() !== "";
+    if (hasLoot || r.itemCount > 0) continue;
+
+    if (!empty.has(r.structure)) empty.set(r.structure, new Map());
+    const byTile = empty.get(r.structure);
+    byTile.set(r.tileId, (byTile.get(r.tileId) || 0) + 1);
+    emptyCount++;
+  }
+
+  const failReasons = [];
+  if (emptyCount > maxEmpty) {
+    failReasons.push(
+      `${emptyCount} empty container(s), more than coverage_max_empty (${maxEmpty})`
+    );
+  }
+  for (const folder of requiredFolders) {
+    const gaps = Array.from(empty.keys()).filter((st) => matchesStructurePath(folder, st));
+    if (gaps.length > 0) {
+      failReasons.push(
+        `required folder "${folder}" has ${gaps.length} structure(s) with empty containers`
+      );
+    }
+  }
+
+  return { total, allowlisted, emptyCount, empty, failReasons };
+}
+
+function printCoverage(coverage, mode) {
+  const { total, allowlisted, emptyCount, empty, failReasons } = coverage;
+  const log = emptyCount > 0 ? console.warn : console.log;
+
+  log(
+    `loot_tabler: coverage: ${total - emptyCount}/${total} container(s) have loot or items` +
+      (allowlisted > 0 ? ` (${allowlisted} allowlisted container(s) not counted)` : "")
+  );
+
+  for (const structure of Array.from(empty.keys()).sort()) {
+    const parts = Array.from(empty.get(structure).entries()).map(([id, n]) => `${id} x${n}`);
+    log(`  ${structure}: ${parts.join(", ")}`);
+  }
+
+  const failLog = mode === "fail" ? console.error : console.warn;
+  for (const r of failReasons) failLog(`loot_tabler: coverage: ${r}`);
+}
+
+// -------------------- modes --------------------
+
+const MODES = ["assign", "strip", "extract_config", "restore", "scaffold_loot_tables"];
+
+function readMode(settings) {
+  const mode = settings.mode ?? "assign";
+  if (MODES.includes(mode)) return mode;
+  throw new Error(`Invalid mode ${JSON.stringify(mode)}; expected one of: ${MODES.join(", ")}.`);
+}
+
+// -------------------- project report --------------------
+
+const REPORT_FORMATS = ["json", "csv", "md"];
+
+function readReportFormat(settings) {
+  const fmt = settings.report_format || path.extname(settings.report_path).slice(1).toLowerCase();
+  if (REPORT_FORMATS.includes(fmt)) return fmt;
+  if (!settings.report_format) return "json";
+  throw new Error(
+    `Invalid report_format ${JSON.stringify(settings.report_format)}; expected one of: ${REPORT_FORMATS.join(", ")}.`
+  );
+}
+
+function buildProjectReport(rows, quotas = []) {
+  // rows: buildLootReport rows with a `structure` path (relative to structures_dir);
+  // quotas: planQuotas summaries
+  const sorted = rows
+    .map((r) => ({
+      structure: r.structure,
+      folder: normRel(path.posix.dirname(r.structure)).replace(/^\.$/, ""),
+      index: /^\d+$/.test(r.indexKey) ? Number(r.indexKey) : r.indexKey,
+      tile_id: r.tileId,
+      block: r.blockName ?? null,
+      x: r.pos ? r.pos.x : null,
+      y: r.pos ? r.pos.y : null,
+      z: r.pos ? r.pos.z : null,
+      loot_table: r.lootTable && String(r.lootTable).trim() !== "" ? r.lootTable : null,
+      seed: r.lootSeed,
+      items: r.itemsBefore ?? r.itemCount ?? 0,
+      items_policy: r.itemsPolicy ?? null,
+      loot_candidate: r.lootCandidate ?? null,
+      quota: r.quota ?? null,
+      marker: r.marker ?? null
+    }))
+    .sort((a, b) => {
+      if (a.structure !== b.structure) return a.structure < b.structure ? -1 : 1;
+      // block indices (numbers) first, then entity keys ("entity:0", ...)
+      if (typeof a.index !== typeof b.index) return typeof a.index === "number" ? -1 : 1;
+      if (typeof a.index === "number") return a.index - b.index;
+      return a.index.localeCompare(b.index, "en", { numeric: true });
+    });
+
+  const byTable = {};
+  const byFolder = {};
+  for (const r of sorted) {
+    const t = r.loot_table ?? "(none)";
+    byTable[t] = (byTable[t] || 0) + 1;
+
+    const f = r.folder || "(root)";
+    if (!byFolder[f]) byFolder[f] = { containers: 0, with_loot: 0, without_loot: 0 };
+    byFolder[f].containers++;
+    if (r.loot_table) byFolder[f].with_loot++;
+    else byFolder[f].without_loot++;
+  }
+
+  const sortKeys = (obj) =>
+    Object.fromEntries(
+      Object.keys(obj)
+        .sort()
+        .map((k) => [k, obj[k]])
+    );
+
+  return {
+    rows: sorted,
+    totals: { by_table: sortKeys(byTable), by_folder: sortKeys(byFolder) },
+    quotas
+  };
+}
+
+const REPORT_COLUMNS = [
+  "structure",
+  "index",
+  "tile_id",
+  "block",
+  "x",
+  "y",
+  "z",
+  "loot_table",
+  "seed",
+  "items",
+  "items_policy",
+  "loot_candidate",
+  "quota",
+  "marker"
+];
+const QUOTA_COLUMNS = ["quota", "folder", "loot_table", "count", "share", "eligible", "placed"];
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const str = String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function mdCell(v) {
+  if (v === null || v === undefined) return "";
+  return String(v).replace(/\|/g, "\\|");
+}
+
+function renderProjectReport(report, format) {
+  const { rows, totals } = report;
+  const tableRows = Object.entries(totals.by_table);
+  const folderRows = Object.entries(totals.by_folder);
+  // placed containers as "structure #index"; the rows' quota column has them one by one
+  const quotaRows = report.quotas.map((q) =>
+    QUOTA_COLUMNS.map((c) =>
+      c === "placed" ? q.placed.map((p) => `${p.structure} #${p.index}`).join("; ") : q[c]
+    )
+  );
+
+  if (format === "json") return JSON.stringify(report, null, 2) + "\n";
+
+  if (format === "csv") {
+    const lines = [REPORT_COLUMNS.join(",")];
+    for (const r of rows) lines.push(REPORT_COLUMNS.map((c) => csvCell(r[c])).join(","));
+    lines.push("", "loot_table,containers");
+    for (const [t, n] of tableRows) lines.push(`${csvCell(t)},${n}`);
+    lines.push("", "folder,containers,with_loot,without_loot");
+    for (const [f, t] of folderRows) {
+      lines.push(`${csvCell(f)},${t.containers},${t.with_loot},${t.without_loot}`);
+    }
+    if (quotaRows.length > 0) {
+      lines.push("", QUOTA_COLUMNS.join(","));
+      for (const cells of quotaRows) lines.push(cells.map(csvCell).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // md
+  const mdTable = (header, body) =>
+    [
+      `| ${header.join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...body.map((cells) => `| ${cells.map(mdCell).join(" | ")} |`)
+    ].join("\n");
+
+  return (
+    [
+      "# Loot report",
+      "",
+      "## Containers",
+      "",
+      mdTable(
+        REPORT_COLUMNS,
+        rows.map((r) => REPORT_COLUMNS.map((c) => r[c]))
+      ),
+      "",
+      "## Totals per loot table",
+      "",
+      mdTable(["loot_table", "containers"], tableRows),
+      "",
+      "## Totals per folder",
+      "",
+      mdTable(
+        ["folder", "containers", "with_loot", "without_loot"],
+        folderRows.map(([f, t]) => [f, t.containers, t.with_loot, t.without_loot])
+      ),
+      ...(quotaRows.length > 0 ? ["", "## Quotas", "", mdTable(QUOTA_COLUMNS, quotaRows)] : [])
+    ].join("\n") + "\n"
+  );
+}
+
+async function writeProjectReport(reportPath, format, rows, quotas) {
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const outPath = path.isAbsolute(reportPath) ? reportPath : path.join(rootDir, reportPath);
+
+  const report = buildProjectReport(rows, quotas);
+  await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.promises.writeFile(outPath, renderProjectReport(report, format), "utf8");
+  console.log(
+    `loot_tabler: wrote ${format} loot report (${report.rows.length} container(s)) to ${outPath}`
+  );
+}
+
+// -------------------- html report --------------------
+
+// html_report_dir gets an offline, self-contained report: index.html lists every structure
+// (filterable), and pages/<structure path>.html draws each Y layer top-down from the block grid,
+// with containers coloured by loot table. No external assets; the pages open from disk.
+
+const HTML_STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 1.5em; color: #222; background: #fafafa; }
+h1 { font-size: 1.4em; } h2 { font-size: 1.15em; margin-top: 1.5em; } h3 { font-size: 1em; }
+table { border-collapse: collapse; margin: 0.5em 0; }
+th, td { border: 1px solid #ccc; padding: 2px 6px; text-align: left; vertical-align: top; }
+th { background: #eee; }
+.swatch { display: inline-block; width: 0.9em; height: 0.9em; border: 1px solid #333;
+  vertical-align: middle; margin-right: 4px; }
+.layers { display: flex; flex-wrap: wrap; gap: 1em; }
+.layer canvas { border: 1px solid #999; image-rendering: pixelated; background: #fff; }
+.filters { margin: 0.5em 0 1em; display: flex; gap: 1em; align-items: center; flex-wrap: wrap; }
+.muted { color: #777; }
+#tip { position: fixed; pointer-events: none; background: #222; color: #fff; padding: 4px 8px;
+  border-radius: 3px; font-size: 12px; white-space: pre; display: none; z-index: 1; }
+`;
+
+// draws every layer of data.size from the run-length encoded grid; client-side, so plain ES5
+const STRUCTURE_PAGE_SCRIPT = `
+var data = JSON.parse(document.getElementById("data").textContent);
+var sx = data.size[0], sy = data.size[1], sz = data.size[2];
+var indices = [];
+for (var r = 0; r < data.indices.length; r += 2) {
+  for (var n = 0; n < data.indices[r + 1]; n++) indices.push(data.indices[r]);
+}
+var byPos = {};
+data.containers.forEach(function (c) {
+  if (c.x !== null) byPos[c.x + "," + c.y + "," + c.z] = c;
+});
+var EMPTY = { "minecraft:air": 1, "minecraft:structure_void": 1 };
+function shade(name) {
+  var h = 0;
+  for (var i = 0; i < name.length; i++) h = (h * 31 + name.charCodeAt(i)) | 0;
+  var l = 55 + (Math.abs(h) % 30);
+  return "hsl(30, 8%, " + l + "%)";
+}
+function blockAt(x, y, z) {
+  var p = indices[(x * sy + y) * sz + z];
+  return p === undefined || p < 0 ? null : data.palette[p];
+}
+var cell = Math.max(4, Math.min(24, Math.floor(640 / Math.max(sx, sz, 1))));
+var tip = document.getElementById("tip");
+var layers = document.getElementById("layers");
+for (var y = sy - 1; y >= 0; y--) {
+  var count = data.containers.filter(function (c) { return c.y === y; }).length;
+  var div = document.createElement("div");
+  div.className = "layer";
+  div.setAttribute("data-containers", count);
+  var title = document.createElement("h3");
+  title.textContent = "y = " + y + (count ? " (" + count + " container(s))" : "");
+  var canvas = document.createElement("canvas");
+  canvas.width = sx * cell;
+  canvas.height = sz * cell;
+  var ctx = canvas.getContext("2d");
+  for (var x = 0; x < sx; x++) {
+    for (var z = 0; z < sz; z++) {
+      var name = blockAt(x, y, z);
+      var c = byPos[x + "," + y + "," + z];
+      if (c) {
+        ctx.fillStyle = c.table ? c.color : "#fff";
+        ctx.fillRect(x * cell, z * cell, cell, cell);
+        ctx.strokeStyle = c.table ? "#000" : "#d00";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x * cell + 1, z * cell + 1, cell - 2, cell - 2);
+      } else if (name && !EMPTY[name]) {
+        ctx.fillStyle = shade(name);
+        ctx.fillRect(x * cell, z * cell, cell, cell);
+      }
+    }
+  }
+  (function (y) {
+    canvas.onmousemove = function (e) {
+      var rect = e.target.getBoundingClientRect();
+      var x = Math.floor((e.clientX - rect.left) / cell);
+      var z = Math.floor((e.clientY - rect.top) / cell);
+      var c = byPos[x + "," + y + "," + z];
+      var lines = c
+        ? [c.tile + (c.block ? " (" + c.block + ")" : ""), "x=" + x + " y=" + y + " z=" + z,
+           "table: " + (c.table || "(none)"), "seed: " + (c.seed || "(none)"),
+           "rule: " + (c.rule || "(none)")]
+        : [(blockAt(x, y, z) || "(void)"), "x=" + x + " y=" + y + " z=" + z];
+      if (c && c.items) lines.push("items: " + c.items);
+      tip.textContent = lines.join("\\n");
+      tip.style.left = e.clientX + 12 + "px";
+      tip.style.top = e.clientY + 12 + "px";
+      tip.style.display = "block";
+    };
+    canvas.onmouseleave = function () { tip.style.display = "none"; };
+  })(y);
+  div.appendChild(title);
+  div.appendChild(canvas);
+  layers.appendChild(div);
+}
+var only = document.getElementById("only-containers");
+function applyLayerFilter() {
+  Array.prototype.forEach.call(layers.children, function (div) {
+    var hide = only.checked && div.getAttribute("data-containers") === "0";
+    div.style.display = hide ? "none" : "";
+  });
+}
+only.onchange = applyLayerFilter;
+applyLayerFilter();
+`;
+
+const INDEX_PAGE_SCRIPT = `
+var rows = Array.prototype.slice.call(document.querySelectorAll("#structures tbody tr"));
+var text = document.getElementById("filter-text");
+var table = document.getElementById("filter-table");
+var missing = document.getElementById("filter-missing");
+function applyFilter() {
+  var q = text.value.toLowerCase();
+  var shown = 0;
+  rows.forEach(function (tr) {
+    var ok = tr.getAttribute("data-search").indexOf(q) >= 0 &&
+      (!table.value || tr.getAttribute("data-tables").split("\\n").indexOf(table.value) >= 0) &&
+      (!missing.checked || tr.getAttribute("data-missing") !== "0");
+    tr.style.display = ok ? "" : "none";
+    if (ok) shown++;
+  });
+  document.getElementById("shown").textContent = shown;
+}
+text.oninput = table.onchange = missing.onchange = applyFilter;
+applyFilter();
+`;
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+function jsonForHtml(v) {
+  // safe inside <script type="application/json">
+  return JSON.stringify(v).replace(/</g, "\\u003c");
+}
+
+function lootTableColor(table) {
+  return `hsl(${Math.floor(hashUnit([table]) * 360)}, 70%, 55%)`;
+}
+
+function runLengthEncode(values) {
+  // [value, run length, value, run length, ...]
+  const out = [];
+  for (const v of values) {
+    if (out.length > 0 && out[out.length - 2] === v) out[out.length - 1]++;
+    else out.push(v, 1);
+  }
+  return out;
+}
+
+function htmlPage(title, body, script = "") {
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    "</head>",
+    "<body>",
+    body,
+    script ? `<script>${script}</script>` : "",
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+function htmlPagePath(fileName) {
+  // pages/<structure path>.html; ".." segments (structures outside the working directory) kept
+  // inside pages/
+  const segments = normRel(fileName)
+    .split("/")
+    .map((seg) => (seg === ".." ? "_" : seg));
+  return `pages/${segments.join("/")}.html`;
+}
+
+function htmlContainerRows(rows) {
+  return rows.map((r) => ({
+    index: r.indexKey,
+    tile: r.tileId,
+    block: r.blockName ?? null,
+    x: r.pos ? r.pos.x : null,
+    y: r.pos ? r.pos.y : null,
+    z: r.pos ? r.pos.z : null,
+    table: r.lootTable && String(r.lootTable).trim() !== "" ? r.lootTable : null,
+    seed: r.lootSeed ?? null,
+    rule: r.rule ?? null,
+    items: r.itemCount || 0,
+    color: r.lootTable ? lootTableColor(r.lootTable) : null
+  }));
+}
+
+function renderLegend(containers) {
+  const counts = new Map();
+  for (const c of containers) counts.set(c.table, (counts.get(c.table) || 0) + 1);
+  const items = [...counts.entries()]
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+    .map(([table, n]) => {
+      const style = table
+        ? `background:${lootTableColor(table)}`
+        : "background:#fff;border-color:#d00";
+      const label = escapeHtml(table ?? "(no loot)");
+      return `<li><span class="swatch" style="${style}"></span>${label} × ${n}</li>`;
+    });
+  return items.length > 0 ? `<ul>${items.join("")}</ul>` : '<p class="muted">No containers.</p>';
+}
+
+function renderStructurePage(entry, view) {
+  const containers = htmlContainerRows(entry.rows);
+  const cells = (c) =>
+    [c.index, c.tile, c.block, c.x, c.y, c.z, c.table, c.seed, c.rule, c.items]
+      .map((v) => `<td>${escapeHtml(v)}</td>`)
+      .join("");
+  const depth = htmlPagePath(entry.fileName).split("/").length - 1;
+  const data = {
+    size: view.size,
+    palette: view.grid.palette.map((b) => b && b.name),
+    indices: runLengthEncode(view.grid.indices),
+    containers
+  };
+
+  const body = [
+    `<p><a href="${"../".repeat(depth)}index.html">← all structures</a></p>`,
+    `<h1>${escapeHtml(entry.structure)}</h1>`,
+    `<p class="muted">${escapeHtml(entry.fileName)} · ${view.edition} · ` +
+      `size ${view.size.join(" × ")}</p>`,
+    "<h2>Loot tables</h2>",
+    renderLegend(containers),
+    "<h2>Layers</h2>",
+    '<p class="muted">Top-down, x to the right and z down; hover a block for details. ' +
+      "Containers without loot have a red border.</p>",
+    '<label><input type="checkbox" id="only-containers" checked> ' +
+      "only layers with containers</label>",
+    '<div class="layers" id="layers"></div>',
+    '<div id="tip"></div>',
+    "<h2>Containers</h2>",
+    "<table><thead><tr>" +
+      ["index", "tile", "block", "x", "y", "z", "loot table", "seed", "rule", "items"]
+        .map((h) => `<th>${h}</th>`)
+        .join("") +
+      "</tr></thead><tbody>",
+    ...containers.map((c) => `<tr>${cells(c)}</tr>`),
+    "</tbody></table>",
+    `<script type="application/json" id="data">${jsonForHtml(data)}</script>`
+  ].join("\n");
+
+  return htmlPage(entry.structure, body, STRUCTURE_PAGE_SCRIPT);
+}
+
+function renderIndexPage(entries) {
+  const allTables = new Set();
+  const rows = entries.map((e) => {
+    const tables = [...new Set(e.rows.map((r) => r.lootTable).filter(Boolean))].sort();
+    tables.forEach((t) => allTables.add(t));
+    const missing = e.rows.filter((r) => !r.lootTable).length;
+    const search = [e.structure, e.fileName, ...tables].join("\n").toLowerCase();
+    const swatches = tables
+      .map(
+        (t) =>
+          `<span class="swatch" style="background:${lootTableColor(t)}"></span>${escapeHtml(t)}`
+      )
+      .join("<br>");
+    return (
+      `<tr data-search="${escapeHtml(search)}" data-tables="${escapeHtml(tables.join("\n"))}" ` +
+      `data-missing="${missing}">` +
+      `<td><a href="${escapeHtml(htmlPagePath(e.fileName))}">${escapeHtml(e.structure)}</a></td>` +
+      `<td>${e.edition}</td><td>${e.rows.length}</td><td>${missing}</td><td>${swatches}</td></tr>`
+    );
+  });
+
+  const options = [...allTables]
+    .sort()
+    .map((t) => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`);
+  const body = [
+    "<h1>Loot report</h1>",
+    `<p>${entries.length} structure(s), showing <span id="shown">${entries.length}</span>.</p>`,
+    '<div class="filters">',
+    '<input type="search" id="filter-text" placeholder="filter by path or table">',
+    '<select id="filter-table"><option value="">any loot table</option>',
+    ...options,
+    "</select>",
+    '<label><input type="checkbox" id="filter-missing"> only with containers lacking loot</label>',
+    "</div>",
+    '<table id="structures"><thead><tr><th>structure</th><th>edition</th><th>containers</th>' +
+      "<th>without loot</th><th>loot tables</th></tr></thead><tbody>",
+    ...rows,
+    "</tbody></table>"
+  ].join("\n");
+
+  return htmlPage("Loot report", body, INDEX_PAGE_SCRIPT);
+}
+
+async function writeHtmlReport(reportDir, entries) {
+  // entries: { fileName, filePath, structure, rows, replacedBlocks } per processed structure, in
+  // file order. filePath is what was written; in a dry run it is the untouched source, so the
+  // marker blocks a real run replaces (replacedBlocks) are swapped in here.
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const outDir = path.isAbsolute(reportDir) ? reportDir : path.join(rootDir, reportDir);
+
+  const written = [];
+  for (const entry of entries) {
+    let view = null;
+    try {
+      const { root, format } = readStructureBuffer(await fs.promises.readFile(entry.filePath));
+      view = readStructureView(root, format, entry.fileName);
+    } catch (err) {
+      console.warn(`loot_tabler: html report: skipping ${entry.fileName}: ${err.message}`);
+    }
+    if (!view) continue;
+
+    for (const { x, y, z, name } of entry.replacedBlocks || []) {
+      const { palette } = view.grid;
+      let p = palette.findIndex((b) => b && b.name === name && Object.keys(b.states).length === 0);
+      if (p < 0) p = palette.push({ name, states: {} }) - 1;
+      view.grid.indices[encodeBlockIndex({ x, y, z }, view.size)] = p;
+    }
+
+    const pagePath = path.join(outDir, htmlPagePath(entry.fileName));
+    await fs.promises.mkdir(path.dirname(pagePath), { recursive: true });
+    await fs.promises.writeFile(pagePath, renderStructurePage(entry, view), "utf8");
+    written.push({ ...entry, edition: view.edition });
+  }
+
+  await fs.promises.mkdir(outDir, { recursive: true });
+  const indexPath = path.join(outDir, "index.html");
+  await fs.promises.writeFile(indexPath, renderIndexPage(written), "utf8");
+  console.log(`loot_tabler: wrote html report (${written.length} structure(s)) to ${indexPath}`);
+}
+
+// -------------------- example-config writer (Option B) --------------------
+
+async function maybeWriteExampleConfig(settings) {
+  const enabled = Boolean(settings.write_example_config);
+  if (!enabled) return;
+
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const relPath = settings.example_config_path || "data/loot-config.example.json";
+  const outPath = path.isAbsolute(relPath) ? relPath : path.join(rootDir, relPath);
+
+  // do not overwrite
+  try {
+    await fs.promises.access(outPath, fs.constants.F_OK);
+    console.log(`loot_tabler: example config already exists at ${outPath} (skipping).`);
+    return;
+  } catch {
+    // ok, doesn't exist
+  }
+
+  // keep the example small and readable
+  const example = {
+    defaults: { seed: 0, override_existing: false },
+    global: {
+      tile_entities: {
+        DecoratedPot: {
+          loot_table: "loot_tables/chest/decorated_pots_village.json"
+        }
+      }
+    },
+    folders: {
+      "village/plains": {
+        structure_defaults: {
+          Chest: "loot_tables/chests/village/village_plains_house.json",
+          Barrel: "loot_tables/chests/village/village_plains_house.json"
+        },
+        structure_overrides: {
+          armorer: {
+            Chest: "loot_tables/chests/village/village_armorer.json",
+            Barrel: "loot_tables/chests/village/village_armorer.json"
+          }
+        }
+      },
+      "castle": {
+        structure_defaults: {
+          Chest: "loot_tables/chest/castle.json",
+          Barrel: "loot_tables/chest/castle.json",
+          DecoratedPot: "loot_tables/chest/decorated_pots_castle.json",
+          BrushableBlock: "loot_tables/chest/brushable.json"
+        }
+      }
+    }
+  };
+
+  await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.promises.writeFile(outPath, JSON.stringify(example, null, 2), "utf8");
+  console.log(`loot_tabler: wrote example config to ${outPath}`);
+  console.log(
+    `loot_tabler: tip: point loot_config_path at this file, or copy it to data/loot-config.json and customize.`
+  );
+}
+
+// -------------------- config extraction (mode "extract_config") --------------------
+
+// Infers a compact config that reproduces the loot already saved in the structures:
+// the most common table per key goes to global, folders differing from it get structure_defaults,
+// and single structures differing from their folder get structure_overrides.
+// A null value stands for "no loot" (a null rule leaves those containers empty).
+
+function lootOf(row) {
+  return row.lootTable && String(row.lootTable).trim() !== "" ? row.lootTable : null;
+}
+
+function mostCommon(values) {
+  // ties go to a table over null, then to the alphabetically first table
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  const sorted = [...counts.entries()].sort((a, b) => {
+    if (a[1] !== b[1]) return b[1] - a[1];
+    if (a[0] === null || b[0] === null) return a[0] === null ? 1 : -1;
+    return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+  });
+  return sorted[0][0];
+}
+
+function extractStructureKeys(rows) {
+  // tile id -> table when its containers agree, else one block-name key per palette block
+  const byTile = new Map();
+  for (const r of rows) {
+    if (!byTile.has(r.tileId)) byTile.set(r.tileId, []);
+    byTile.get(r.tileId).push(r);
+  }
+
+  const keys = {};
+  for (const [tileId, list] of byTile.entries()) {
+    const values = list.map(lootOf);
+    if (new Set(values).size === 1 || list.some((r) => !r.blockName)) {
+      keys[tileId] = mostCommon(values);
+      continue;
+    }
+    const byBlock = new Map();
+    for (const r of list) {
+      if (!byBlock.has(r.blockName)) byBlock.set(r.blockName, []);
+      byBlock.get(r.blockName).push(lootOf(r));
+    }
+    for (const [blockName, blockValues] of byBlock.entries()) {
+      keys[blockName] = mostCommon(blockValues);
+    }
+  }
+  return keys;
+}
+
+function inferLootTables(structures) {
+  // structures: [{ rel, rows }] -> { global, folders } (without seeds)
+  const items = structures.map((s) => {
+    const dir = path.posix.dirname(s.rel);
+    return {
+      dir: dir === "." ? "" : dir,
+      base: getStructureBaseName(s.rel),
+      keys: extractStructureKeys(s.rows)
+    };
+  });
+
+  const global = {};
+  const allKeys = [...new Set(items.flatMap((it) => Object.keys(it.keys)))].sort();
+  for (const k of allKeys) {
+    const v = mostCommon(items.filter((it) => k in it.keys).map((it) => it.keys[k]));
+    if (v !== null) global[k] = v;
+  }
+
+  const byDir = new Map();
+  for (const it of items) {
+    if (!byDir.has(it.dir)) byDir.set(it.dir, []);
+    byDir.get(it.dir).push(it);
+  }
+
+  const folders = {};
+  for (const dir of [...byDir.keys()].sort()) {
+    if (!dir) continue; // structures at the top level can only use global
+    const list = byDir.get(dir);
+    const dirKeys = [...new Set(list.flatMap((it) => Object.keys(it.keys)))].sort();
+
+    const defaults = {};
+    for (const k of dirKeys) {
+      const v = mostCommon(list.filter((it) => k in it.keys).map((it) => it.keys[k]));
+      if (v !== (global[k] ?? null)) defaults[k] = v;
+    }
+
+    const overrides = {};
+    for (const it of list) {
+      const diff = {};
+      for (const k of Object.keys(it.keys).sort()) {
+        const inherited = k in defaults ? defaults[k] : (global[k] ?? null);
+        if (it.keys[k] !== inherited) diff[k] = it.keys[k];
+      }
+      if (Object.keys(diff).length > 0) overrides[it.base] = diff;
+    }
+
+    const rule = {};
+    if (Object.keys(defaults).length > 0) rule.structure_defaults = defaults;
+    if (Object.keys(overrides).length > 0) rule.structure_overrides = overrides;
+    folders[dir] = rule;
+  }
+
+  // an empty rule is only needed to stop a parent folder's rule from applying
+  const hasRule = (dir) => folders[dir] && Object.keys(folders[dir]).length > 0;
+  for (const dir of Object.keys(folders)) {
+    if (hasRule(dir)) continue;
+    const parts = dir.split("/");
+    const shadowed = parts.some((_, i) => i > 0 && hasRule(parts.slice(0, i).join("/")));
+    if (!shadowed) delete folders[dir];
+  }
+
+  // override keys match by filename prefix ("tower" also matches "tower_2"): give every structure
+  // that picks up someone else's override its own, complete one (exact names win)
+  const config = toExtractedConfig(global, folders);
+  for (const miss of findExtractionMisses(config, structures)) {
+    const it = items[structures.findIndex((s) => s.rel === miss.structure)];
+    if (!it.dir) continue;
+    if (!folders[it.dir]) folders[it.dir] = {};
+    const rule = folders[it.dir];
+    if (!rule.structure_overrides) rule.structure_overrides = {};
+    const own = {};
+    for (const k of Object.keys(it.keys).sort()) own[k] = it.keys[k];
+    rule.structure_overrides[it.base] = own;
+  }
+
+  return { global, folders };
+}
+
+function toExtractedConfig(global, folders, defaults = {}) {
+  const tileEntities = {};
+  for (const k of Object.keys(global)) tileEntities[k] = { loot_table: global[k] };
+  const config = {};
+  if (Object.keys(defaults).length > 0) config.defaults = defaults;
+  config.global = { tile_entities: tileEntities };
+  config.folders = folders;
+  return config;
+}
+
+function findExtractionMisses(config, structures) {
+  // containers whose resolved loot table differs from what the structure holds today
+  const misses = [];
+  for (const s of structures) {
+    const sources = {};
+    const folderRule = pickFolderRule(config, s.rel);
+    const tileConfig = buildPerFileTileConfig(config, folderRule, s.rel, sources);
+    for (const r of s.rows) {
+      const block = r.blockName ? { name: r.blockName, states: {} } : null;
+      const key = lookupTileRuleKey(tileConfig, r.tileId, block, sources);
+      const got = key ? (tileConfig[key].loot_table ?? null) : null;
+      if (got !== lootOf(r)) misses.push({ structure: s.rel, row: r, got });
+    }
+  }
+  return misses;
+}
+
+function inferSeedDefaults(structures) {
+  // picks the cheapest of: no seeds, seed_strategy "hash", or one fixed seed for everything
+  const assigned = [];
+  for (const s of structures) {
+    for (const r of s.rows) {
+      if (lootOf(r)) assigned.push({ structure: s.rel, row: r });
+    }
+  }
+
+  const missesFor = (expected) =>
+    assigned.map((a) => ({ ...a, got: expected(a) })).filter((a) => a.got !== a.row.lootSeed);
+
+  const seeds = assigned.map((a) => a.row.lootSeed).filter((v) => v !== null);
+  const options = [
+    { defaults: {}, misses: missesFor(() => null) },
+    {
+      defaults: { seed_strategy: "hash" },
+      misses: missesFor((a) => hashSeed([a.structure, a.row.indexKey, a.row.tileId]).toString())
+    }
+  ];
+  if (seeds.length > 0) {
+    const seed = mostCommon(seeds);
+    const asNumber = Number(seed);
+    options.push({
+      defaults: { seed: Number.isSafeInteger(asNumber) ? asNumber : seed },
+      misses: missesFor(() => seed)
+    });
+  }
+  options.sort((a, b) => a.misses.length - b.misses.length);
+  return options[0];
+}
+
+async function extractLootConfig(settings, fileRoots, dryRun) {
+  const javaMapping = getEditionMapping({}, "java");
+  const structures = [];
+  for (const [f, structuresDir] of fileRoots) {
+    try {
+      // an empty config assigns nothing, and a dry run never writes: this only reads the loot
+      const { skipped, lootRows } = await processFile(f, structuresDir, {}, {
+        mode: "assign",
+        dryRun: true,
+        printPlan: false
+      });
+      if (skipped) continue;
+      const rows = lootRows.filter(
+        (r) =>
+          KNOWN_TILE_IDS.includes(r.tileId) ||
+          KNOWN_CONTAINER_ENTITY_IDS.includes(r.tileId) ||
+          lootOf(r)
+      );
+      // Java structures hold namespaced ids; the config is written in Bedrock paths
+      for (const r of rows) {
+        if (r.edition === "java") r.lootTable = fromEditionLootTable(javaMapping, lootOf(r));
+      }
+      structures.push({ rel: getRelativeToStructures(f, structuresDir), rows });
+    } catch (err) {
+      console.error(`Error processing ${f}: ${err && err.message ? err.message : String(err)}`);
+    }
+  }
+
+  const { global, folders } = inferLootTables(structures);
+  const seeds = inferSeedDefaults(structures);
+  const config = toExtractedConfig(global, folders, seeds.defaults);
+  const misses = findExtractionMisses(config, structures);
+
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const exampleRel = settings.example_config_path || "data/loot-config.example.json";
+  const relPath =
+    settings.extract_config_path ||
+    path.join(path.dirname(exampleRel), "loot-config.extracted.json");
+  const outPath = path.isAbsolute(relPath) ? relPath : path.join(rootDir, relPath);
+
+  const containerCount = structures.reduce((n, s) => n + s.rows.length, 0);
+  const overrideCount = Object.values(folders).reduce(
+    (n, rule) => n + Object.keys(rule.structure_overrides || {}).length,
+    0
+  );
+  const summary =
+    `${Object.keys(folders).length} folder rule(s), ${overrideCount} override(s) ` +
+    `from ${containerCount} container(s) in ${structures.length} structure(s)`;
+
+  if (dryRun) {
+    console.log(`loot_tabler: extract_config (dry run): ${summary}; not writing ${outPath}`);
+    console.log(JSON.stringify(config, null, 2));
+  } else {
+    await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.promises.writeFile(outPath, JSON.stringify(config, null, 2) + "\n", "utf8");
+    console.log(`loot_tabler: extract_config: wrote ${outPath} (${summary}).`);
+  }
+
+  if (misses.length === 0 && seeds.misses.length === 0) return;
+  console.warn(
+    `loot_tabler: extract_config: ${misses.length + seeds.misses.length} container(s) could not be represented:`
+  );
+  const label = (m) =>
+    `${m.structure} #${m.row.indexKey} ${m.row.tileId}${m.row.blockName ? ` (${m.row.blockName})` : ""}`;
+  for (const m of misses) {
+    console.warn(
+      `  ${label(m)}: LootTable ${lootOf(m.row) ?? "(none)"}, config gives ${m.got ?? "(none)"}`
+    );
+  }
+  for (const m of seeds.misses) {
+    console.warn(
+      `  ${label(m)}: LootTableSeed ${m.row.lootSeed ?? "(none)"}, config gives ${m.got ?? "(none)"}`
+    );
+  }
+}
+
+// -------------------- core processing --------------------
+
+function resolveTileConfig(config, relPath) {
+  // Effective tile rules for one structure path (relative to structures_dir), plus where they came
+  // from: { tileConfig, sources, folderMatch, overrideMatch }.
+  const relToStructures = normRel(relPath);
+  const folderMatch = pickFolderRuleMatch(config, relToStructures);
+  const folderRule = folderMatch ? folderMatch.rule : null;
+  const overrideMatch = pickStructureOverrideMatch(
+    folderRule,
+    getStructureBaseName(relToStructures)
+  );
+
+  // Build per-file tile config using:
+  // global + folder tile_entities + structure_defaults + structure_overrides
+  const sources = {};
+  const tileConfig = buildPerFileTileConfig(config, folderRule, relToStructures, sources);
+
+  // Backwards compat: if no global/folders/defaults/overrides used, allow legacy top-level tile_entities/containers
+  const legacyTopLevel = getTileMap(config);
+  if (Object.keys(tileConfig).length === 0 && Object.keys(legacyTopLevel).length > 0) {
+    for (const k of Object.keys(legacyTopLevel)) {
+      tileConfig[k] = legacyTopLevel[k];
+      sources[k] = "legacy";
+    }
+  }
+
+  return { tileConfig, sources, folderMatch, overrideMatch };
+}
+
+async function processFile(filePath, structuresDir, config, opts) {
+  const buf = await fs.promises.readFile(filePath);
+  const result = await processStructure(
+    buf,
+    getRelativeToStructures(filePath, structuresDir),
+    config,
+    {
+      ...opts,
+      fileName: path.relative(process.cwd(), filePath),
+      bpDir: opts.bpDir || path.dirname(structuresDir)
+    }
+  );
+
+  // in place (only if changed), or to output_dir; never in dry-run mode
+  if (!opts.dryRun) {
+    result.backup = await writeStructureOutput(filePath, structuresDir, result.buffer, opts);
+  }
+  return result;
+}
+
+async function processStructure(buf, relToStructures, config, opts) {
+  // Applies `config` to one in-memory structure (.mcstructure or Java .nbt). `buffer` in the
+  // result is the rewritten structure, or null when nothing changed (always null in dry-run mode).
+  const { diagnostic, onlyUnassigned, reportLoot, dryRun, mode = "assign" } = opts;
+  const bpDir = opts.bpDir || ".";
+  const fileName = opts.fileName || relToStructures;
+
+  const { root, format } = readStructureBuffer(buf);
+  const view = readStructureView(root, format, fileName);
+  if (!view) return { modifiedCount: 0, skipped: true, buffer: null };
+  const { size } = view;
+
+  // structure ids -> config keys, config loot tables -> what this edition stores
+  const mapping = getEditionMapping(config, view.edition);
+  const keyOf = (id) => toConfigTileId(mapping, id);
+
+  // ---------- pick folder rule, override and tile rules ----------
+  const {
+    tileConfig,
+    sources: tileSources,
+    folderMatch,
+    overrideMatch
+  } = resolveTileConfig(config, relToStructures);
+  const folderRule = folderMatch ? folderMatch.rule : null;
 
   // --- Diagnostics ---
   if (diagnostic) {
-    printDiagnostics(fileName, blockPalette, primaryLayer, blockPosDataTag);
+    printDiagnostics(fileName, view, { folder: folderMatch, override: overrideMatch }, keyOf);
+  }
+
+  const describeSource = (source) => {
+    if (source === "folder" || source === "structure_default") {
+      return `${source} ${JSON.stringify(folderMatch.key)}`;
+    }
+    if (source === "override") return `override ${JSON.stringify(overrideMatch.key)}`;
+    if (source === "legacy") return "legacy top-level";
+    return source;
+  };
+
+  const defaults = config.defaults || {};
+  const defaultSeed = defaults.seed ?? null;
+  const overrideExisting = Boolean(defaults.override_existing);
+
+  let modifiedCount = 0;
+  let strippedCount = 0;
+  let patchedCount = 0;
+  let markerCount = 0;
+  const replacedBlocks = []; // marker blocks swapped for replace_with: { x, y, z, name }
+
+  // in-world markers beat everything else, then folder quotas (planned across all structures)
+  const markers = getMarkers(config);
+  const quotaPicks = (opts.quotaPlacements && opts.quotaPlacements[fileName]) || {};
+
+  // Pass 1: collect every block entity, container entity (chest minecarts, chest boats, or any
+  // entity id a rule names), then the ones a rule wants to (re)assign
+  const entities = [];
+  for (const { indexKey, id, bedVal, pos, block } of view.tiles) {
+    entities.push({ indexKey, tileId: keyOf(id), bedVal, pos, block });
+  }
+  for (const { indexKey, id, bedVal, pos } of view.mobs) {
+    const tileId = keyOf(id);
+    const named = tileConfig[tileId] || quotaPicks[indexKey];
+    if (!KNOWN_CONTAINER_ENTITY_IDS.includes(tileId) && !named) continue;
+    entities.push({ indexKey, tileId, bedVal, pos, block: null });
+  }
+
+  // position_rules sit on top of global/folder/defaults/overrides
+  const positionPicks = resolvePositionRules(
+    getPositionRules(config, folderRule),
+    entities,
+    size,
+    getStructureBaseName(relToStructures)
+  );
+
+  // markers are build-time notes: drop one only when its container really gets the loot (or
+  // strip) it asks for, so a skipped container keeps its marker for the next run
+  const clearMarker = (entity) => {
+    const marker = entity.markerHit;
+    if (!marker) return;
+    if (marker.via === "name") {
+      delete entity.bedVal.CustomName;
+      entity.markerCleared = "CustomName removed";
+    } else {
+      replaceBlock(root, view.edition, size, marker.below, markers.replace_with);
+      replacedBlocks.push({ ...marker.below, name: markers.replace_with });
+      entity.markerCleared = `${marker.block} below -> ${markers.replace_with}`;
+    }
+    markerCount++;
+  };
+
+  const candidates = [];
+  for (const entity of entities) {
+    const { indexKey, tileId, bedVal, block } = entity;
+
+    // remember the pre-change state for the dry-run plan
+    entity.before = readLootState(bedVal);
+    entity.itemCount = getListValues(bedVal.Items).length;
+
+    const warn = (msg) => console.warn(`${fileName}: #${indexKey} ${tileId}: ${msg}`);
+    const marker = isMarkerTarget(tileId, block, tileConfig)
+      ? findMarker(markers, entity, view.grid, size, warn)
+      : null;
+    const quota = marker ? null : quotaPicks[indexKey];
+    let perTileConfig = marker ? marker.rule : quota ? quota.rule : positionPicks.get(indexKey);
+    if (marker) {
+      entity.rule = describeMarker(marker);
+      entity.marker = marker.alias;
+      entity.markerHit = marker; // cleared by clearMarker once loot is assigned or stripped
+    } else if (quota) {
+      entity.rule = `quota ${JSON.stringify(quota.label)}`;
+      entity.quota = quota.label;
+    } else if (perTileConfig) {
+      entity.rule = "position_rule";
+    } else {
+      const key = lookupTileRuleKey(tileConfig, tileId, block, tileSources);
+      perTileConfig = key ? tileConfig[key] : null;
+      if (key) entity.rule = describeSource(tileSources[key]);
+    }
+    if (!perTileConfig) {
+      entity.skipReason = "no matching rule";
+      continue;
+    }
+
+    // nbt patches apply whether or not loot is (re)assigned below
+    if (mode !== "strip" && perTileConfig.nbt) {
+      entity.patched = applyNbtPatch(bedVal, perTileConfig.nbt, warn);
+      if (entity.patched.length > 0) patchedCount++;
+    }
+
+    // mode "strip" (or a rule with loot_table: null) removes loot instead of assigning it
+    if (mode === "strip" || perTileConfig.loot_table === null) {
+      entity.itemsPolicy = pickItemsPolicy(config, folderRule, perTileConfig);
+      if (entity.itemsPolicy === "skip" && entity.itemCount > 0) {
+        entity.skipReason = "has items (items_policy skip)";
+        continue;
+      }
+      const clearItems = entity.itemsPolicy === "clear" && bedVal.Items;
+      if (!bedVal.LootTable && !bedVal.LootTableSeed && !clearItems) {
+        entity.skipReason = "nothing to strip";
+        continue;
+      }
+      delete bedVal.LootTable;
+      delete bedVal.LootTableSeed;
+      if (clearItems) delete bedVal.Items;
+      entity.action = "strip";
+      entity.after = readLootState(bedVal);
+      strippedCount++;
+      clearMarker(entity);
+      continue;
+    }
+
+    const optLootTable = perTileConfig.loot_table;
+    if (!optLootTable) {
+      entity.skipReason = perTileConfig.nbt ? "rule has no loot_table" : "no matching rule";
+      continue;
+    }
+
+    // Determine whether this block entity already has a LootTable
+    const existingLTTag = bedVal.LootTable;
+    const existingLT =
+      existingLTTag && existingLTTag.type === "string" ? existingLTTag.value : null;
+
+    const hasLootAlready = existingLT != null && String(existingLT).trim() !== "";
+
+    // Behavior:
+    //  - If onlyUnassigned: never overwrite (only set when missing/empty)
+    //  - Else: obey defaults.override_existing, unless a marker was put on this very container
+    if (hasLootAlready && (onlyUnassigned || (!overrideExisting && !marker))) {
+      entity.skipReason = "kept existing LootTable";
+      continue;
+    }
+
+    entity.itemsPolicy = pickItemsPolicy(config, folderRule, perTileConfig);
+    if (entity.itemsPolicy === "skip" && entity.itemCount > 0) {
+      entity.skipReason = "has items (items_policy skip)";
+      continue;
+    }
+
+    candidates.push({ indexKey, tileId, bedVal, block, perTileConfig, entity });
+  }
+
+  // Pass 2: pick a loot table per container (weighted lists + per-structure min/max)
+  const picks = new Map();
+  const byRule = new Map(); // containers sharing one resolved rule share its min/max budget
+  for (const c of candidates) {
+    if (!byRule.has(c.perTileConfig)) byRule.set(c.perTileConfig, []);
+    byRule.get(c.perTileConfig).push(c);
+  }
+  for (const [rule, list] of byRule.entries()) {
+    const choices = normalizeLootChoices(rule.loot_table);
+    const { assigned, warnings } = allocateLootChoices(choices, list, relToStructures);
+    for (const [indexKey, lt] of assigned.entries()) picks.set(indexKey, lt);
+    for (const w of warnings) console.warn(`${fileName}: ${list[0].tileId}: ${w}`);
+  }
+
+  // Pass 3: write LootTable / LootTableSeed
+  for (const { indexKey, tileId, bedVal, block, perTileConfig, entity } of candidates) {
+    const picked = picks.get(indexKey);
+    if (!picked) {
+      entity.skipReason = "every weighted choice reached its max";
+      continue;
+    }
+
+    // fill in {folder}/{structure}/... and walk fallback chains
+    const ctx = lootPathContext(relToStructures, tileId, block);
+    const {
+      lootTable: optLootTable,
+      candidate,
+      tried
+    } = await resolveLootTableValue(picked, ctx, bpDir);
+    if (!optLootTable) {
+      entity.skipReason = "no fallback loot table exists";
+      console.warn(
+        `${fileName}: #${indexKey} ${tileId}: no fallback loot table exists (tried ${tried.join(", ")})`
+      );
+      continue;
+    }
+    entity.lootCandidate = candidate;
+
+    const perTileSeed = perTileConfig.seed ?? null;
+    const seedToUse = resolveSeed(pickSeedStrategy(config, folderRule, perTileConfig), {
+      fixedSeed: perTileSeed !== null ? perTileSeed : defaultSeed,
+      salt: defaults.seed_salt,
+      relPath: relToStructures,
+      indexKey,
+      tileId
+    });
+
+    if (entity.itemsPolicy === "clear" && bedVal.Items) delete bedVal.Items;
+
+    // Set LootTable (string); Java stores namespaced ids
+    bedVal.LootTable = { type: "string", value: toEditionLootTable(mapping, optLootTable) };
+
+    // Set / clear LootTableSeed (long)
+    if (seedToUse === null) {
+      if (bedVal.LootTableSeed) delete bedVal.LootTableSeed;
+    } else {
+      bedVal.LootTableSeed = { type: "long", value: seedToUse };
+    }
+
+    entity.action = "assign";
+    entity.after = readLootState(bedVal);
+    modifiedCount++;
+    clearMarker(entity);
+  }
+
+  for (const e of entities) {
+    if (!e.markerHit || e.markerCleared) continue;
+    console.warn(
+      `${fileName}: #${e.indexKey} ${e.tileId}: marker ${JSON.stringify(e.marker)} left in place (${e.skipReason})`
+    );
+  }
+
+  const changes = entities.map((e) => ({
+    indexKey: e.indexKey,
+    tileId: e.tileId,
+    blockName: e.block ? e.block.name : null,
+    action: e.action || null,
+    before: e.before,
+    after: e.after || null,
+    rule: e.rule || null,
+    skipReason: e.after ? null : e.skipReason || null,
+    itemCount: e.itemCount,
+    itemsPolicy: e.itemsPolicy || null,
+    lootCandidate: e.lootCandidate || null,
+    quota: e.quota || null,
+    marker: e.marker || null,
+    markerCleared: e.markerCleared || null,
+    patched: e.patched || []
+  }));
+
+  if (dryRun && opts.printPlan !== false) {
+    printDryRunPlan(fileName, changes);
+  }
+
+  // --- Loot report (after changes) ---
+  const lootRows = buildLootReport(view, keyOf);
+  // items as they were before processing, and the policy that applied
+  const changeByIndex = new Map(changes.map((c) => [c.indexKey, c]));
+  for (const r of lootRows) {
+    const c = changeByIndex.get(r.indexKey);
+    r.itemsBefore = c ? c.itemCount : r.itemCount;
+    r.itemsPolicy = c ? c.itemsPolicy : null;
+    r.lootCandidate = c ? c.lootCandidate : null;
+    r.quota = c ? c.quota : null;
+    r.marker = c ? c.marker : null;
+    r.rule = c ? c.rule : null;
+    r.action = c ? c.action : null;
+  }
+
+  if (reportLoot) {
+    printLootReport(fileName, lootRows);
+  }
+
+  const changed = modifiedCount + strippedCount + patchedCount + markerCount > 0;
+  const buffer = changed && !dryRun ? writeStructureBuffer(root, format) : null;
+
+  return {
+    modifiedCount,
+    strippedCount,
+    patchedCount,
+    markerCount,
+    skipped: false,
+    lootRows,
+    changes,
+    replacedBlocks,
+    buffer
+  };
+}
+
+// -------------------- folder quotas --------------------
+
+// A folder rule's "quotas" spread a loot table over every structure under that folder key, and
+// are decided once all structures have been scanned:
+//   { "name": "treasure", "tile": "Chest", "count": 3, "loot_table": "..." }
+//     exactly 3 eligible chests across the folder (fewer, with a warning, if there aren't enough)
+//   { "share": 0.1, "loot_table": "..." }
+//     one container in at most 1 of every 10 structures that have an eligible container
+// tile / structure / block / y / box filter containers like position_rules; "per_structure"
+// caps the containers one structure gets (default 1 with "share", unlimited with "count").
+// Eligible means the container would accept a new table (existing loot and items_policy apply).
+// Placement ranks containers by a hash of placement_seed (default defaults.seed_salt), the folder
+// key, the quota and the container, so it only moves when one of those changes. Quotas are placed
+// in config order; a container takes at most one quota, and a quota beats every other rule.
+
+function quotaLabel(folderKey, quota, i) {
+  return quota.name !== undefined ? String(quota.name) : `${folderKey}#${i + 1}`;
+}
+
+function collectQuotas(config) {
+  const out = [];
+  for (const folderKey of Object.keys(config.folders || {})) {
+    const rule = applyPresets(config, config.folders[folderKey]);
+    (Array.isArray(rule.quotas) ? rule.quotas : []).forEach((quota, index) => {
+      out.push({
+        folderKey,
+        index,
+        quota,
+        label: quotaLabel(folderKey, quota, index),
+        eligible: []
+      });
+    });
+  }
+  return out;
+}
+
+async function readQuotaContainers(config, filePath, rel) {
+  // containers of one structure as position_rules see them; null when it can't be read (the
+  // main pass reports that)
+  const { value: view } = await captureConsole(async () => {
+    try {
+      const { root, format } = readStructureBuffer(await fs.promises.readFile(filePath));
+      return readStructureView(root, format, rel);
+    } catch {
+      return null;
+    }
+  });
+  if (!view) return null;
+
+  const mapping = getEditionMapping(config, view.edition);
+  const markers = getMarkers(config);
+  const { tileConfig } = resolveTileConfig(config, rel);
+  return [...view.tiles, ...view.mobs].map((entity) => {
+    const tileId = toConfigTileId(mapping, entity.id);
+    const marked =
+      isMarkerTarget(tileId, entity.block, tileConfig) &&
+      Boolean(findMarker(markers, entity, view.grid, view.size, () => {}));
+    return {
+      indexKey: entity.indexKey,
+      tileId,
+      pos: entity.pos,
+      block: entity.block,
+      state: readLootState(entity.bedVal),
+      itemCount: getListValues(entity.bedVal.Items).length,
+      marked
+    };
+  });
+}
+
+async function scanQuotaContainers(config, filePath, rel, store) {
+  // readQuotaContainers, reusing the cached scan while the bytes and the rules it reads (edition
+  // mapping, markers, tile rules) are unchanged
+  if (!store) return readQuotaContainers(config, filePath, rel);
+
+  const key = normRel(path.relative(process.cwd(), filePath));
+  const input = sha256(await fs.promises.readFile(filePath));
+  const rule = sha256(
+    JSON.stringify({
+      tool: getToolSignature(),
+      editions: config.editions || null,
+      markers: config.markers || null,
+      tileConfig: resolveTileConfig(config, rel).tileConfig
+    })
+  );
+  const hit = store.data.quotaScans[key];
+  if (hit && hit.input === input && hit.rule === rule) return hit.containers;
+
+  const containers = await readQuotaContainers(config, filePath, rel);
+  if (containers) store.data.quotaScans[key] = { input, rule, containers };
+  return containers;
+}
+
+function compareQuotaCandidates(a, b) {
+  if (a.score !== b.score) return a.score - b.score;
+  if (a.structure !== b.structure) return a.structure < b.structure ? -1 : 1;
+  return a.indexKey.localeCompare(b.indexKey, "en", { numeric: true });
+}
+
+function placeQuota(q, seed, claimed) {
+  const rank = (...parts) => hashUnit([seed, q.folderKey, q.index, ...parts]);
+  const free = q.eligible.filter((c) => !claimed.has(`${c.fileName}\0${c.indexKey}`));
+  for (const c of free) c.score = rank(c.structure, c.indexKey);
+  free.sort(compareQuotaCandidates);
+
+  const byStructure = new Map();
+  for (const c of free) {
+    if (!byStructure.has(c.structure)) byStructure.set(c.structure, []);
+    byStructure.get(c.structure).push(c);
+  }
+
+  const picked = [];
+  if (q.quota.count !== undefined) {
+    const perStructure = q.quota.per_structure ?? Infinity;
+    const taken = new Map();
+    for (const c of free) {
+      if (picked.length >= q.quota.count) break;
+      const n = taken.get(c.structure) || 0;
+      if (n >= perStructure) continue;
+      taken.set(c.structure, n + 1);
+      picked.push(c);
+    }
+  } else {
+    const perStructure = q.quota.per_structure ?? 1;
+    const structures = [...byStructure.keys()].sort((a, b) => rank(a) - rank(b));
+    const wanted = Math.floor(q.quota.share * structures.length);
+    for (const st of structures.slice(0, wanted)) {
+      picked.push(...byStructure.get(st).slice(0, perStructure));
+    }
+  }
+
+  return { picked, eligible: free.length, structures: byStructure.size };
+}
+
+async function planQuotas(config, fileRoots, opts, store) {
+  // -> { placements: { [fileName]: { [indexKey]: { label, rule } } }, summaries }
+  // fileName is the structure path relative to the working directory, as processFile names it.
+  // store: openCache's { dir, data } to reuse container scans of unchanged structures, or null.
+  const quotas = collectQuotas(config);
+  const placements = {};
+  if (quotas.length === 0 || opts.mode !== "assign") return { placements, summaries: [] };
+
+  const defaults = config.defaults || {};
+  const keepExisting = opts.onlyUnassigned || !defaults.override_existing;
+
+  for (const [f, root] of fileRoots) {
+    const rel = getRelativeToStructures(f, root);
+    const relDir = normRel(path.posix.dirname(rel)).replace(/^\.$/, "");
+    const matching = quotas.filter((q) =>
+      matchFolderKey(q.folderKey, relDir, rel.replace(STRUCTURE_EXT_RE, ""))
+    );
+    if (matching.length === 0) continue;
+
+    const containers = await scanQuotaContainers(config, f, rel, store);
+    if (!containers) continue;
+
+    const folderRule = pickFolderRule(config, rel);
+    const baseName = getStructureBaseName(rel);
+    const fileName = path.relative(process.cwd(), f);
+    for (const c of containers) {
+      const known =
+        KNOWN_TILE_IDS.includes(c.tileId) || KNOWN_CONTAINER_ENTITY_IDS.includes(c.tileId);
+      const hasLoot = c.state.lootTable != null && String(c.state.lootTable).trim() !== "";
+      if ((hasLoot && keepExisting) || c.marked) continue; // a marker beats any quota
+
+      for (const q of matching) {
+        // signs, pigs, ... only when the quota names them
+        if (!known && q.quota.tile === undefined && q.quota.block === undefined) continue;
+        if (!positionRuleMatches(q.quota, c, baseName)) continue;
+        if (c.itemCount > 0 && pickItemsPolicy(config, folderRule, q.quota) === "skip") continue;
+        q.eligible.push({
+          fileName,
+          structure: rel,
+          indexKey: c.indexKey,
+          tileId: c.tileId,
+          pos: c.pos
+        });
+      }
+    }
+  }
+
+  const claimed = new Set();
+  const summaries = [];
+  for (const q of quotas) {
+    const seed = q.quota.placement_seed ?? defaults.seed_salt ?? "";
+    const { picked, eligible, structures } = placeQuota(q, seed, claimed);
+    picked.sort((a, b) => compareQuotaCandidates({ ...a, score: 0 }, { ...b, score: 0 }));
+
+    for (const c of picked) {
+      claimed.add(`${c.fileName}\0${c.indexKey}`);
+      if (!placements[c.fileName]) placements[c.fileName] = {};
+      placements[c.fileName][c.indexKey] = { label: q.label, rule: q.quota };
+    }
+
+    summaries.push({
+      quota: q.label,
+      folder: q.folderKey,
+      loot_table: q.quota.loot_table,
+      count: q.quota.count ?? null,
+      share: q.quota.share ?? null,
+      eligible,
+      eligible_structures: structures,
+      placed: picked.map((c) => ({
+        structure: c.structure,
+        index: c.indexKey,
+        tile_id: c.tileId,
+        x: c.pos ? c.pos.x : null,
+        y: c.pos ? c.pos.y : null,
+        z: c.pos ? c.pos.z : null
+      }))
+    });
+  }
+
+  return { placements, summaries };
+}
+
+function printQuotaPlan(summaries, dryRun) {
+  for (const s of summaries) {
+    const verb = dryRun ? "would place" : "placing";
+    const where = `quota ${JSON.stringify(s.quota)} (folder ${JSON.stringify(s.folder)})`;
+    const target = s.count !== null ? `count ${s.count}` : `share ${s.share}`;
+    console.log(
+      `loot_tabler: ${where}: ${verb} ${s.placed.length} container(s) (${target}) among ` +
+        `${s.eligible} eligible in ${s.eligible_structures} structure(s)`
+    );
+    for (const p of s.placed) console.log(`  ${p.structure} #${p.index} ${p.tile_id}`);
+    if (s.count !== null && s.placed.length < s.count) {
+      console.warn(
+        `loot_tabler: ${where}: only ${s.placed.length} of ${s.count} container(s) could be placed`
+      );
+    }
+    // share rounds down, so a small folder can end up with none at all
+    if (s.share !== null && s.placed.length === 0) {
+      console.warn(
+        `loot_tabler: ${where}: share ${s.share} of ${s.eligible_structures} eligible ` +
+          "structure(s) rounds down to 0; nothing placed"
+      );
+    }
+  }
+}
+
+// -------------------- output, backups and restore --------------------
+
+// Structures are rewritten in place by default, which suits Regolith's temporary copy. On a
+// working tree:
+//   output_dir      every structure goes to output_dir/<path under its structures_dir root>,
+//                   changed or not, so output_dir mirrors structures_dir; sources stay untouched
+//   backup          in-place runs copy each changed file's original to
+//                   backup_dir/<run>/files/<project path> and list it in <run>/manifest.json;
+//                   the manifest is written before processing and after every backed-up file,
+//                   with "complete": true once the run finishes
+//   mode "restore"  copies the originals of one run (restore_run, default "latest") back
+// Manifest paths are relative to the project root (ROOT_DIR, else the working directory).
+
+const BACKUP_MANIFEST_VERSION = 1;
+
+function resolveBackupDir(settings) {
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const dir = settings.backup_dir || ".loot_tabler/backups";
+  return path.isAbsolute(dir) ? dir : path.join(rootDir, dir);
+}
+
+function commonAncestor(dirs) {
+  const split = dirs.map((d) => path.resolve(d).split(path.sep));
+  const out = [];
+  for (let i = 0; split.every((s) => i < s.length && s[i] === split[0][i]); i++) {
+    out.push(split[0][i]);
+  }
+  return out.join(path.sep) || path.sep;
+}
+
+function readOutputOptions(settings, roots, dryRun) {
+  // -> { outputDir, outputPrefixes, backupRun: { id, dir } } for processFile; outputDir and
+  // backupRun are null for a plain run
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const dir = settings.output_dir;
+  const outputDir = dir ? (path.isAbsolute(dir) ? dir : path.join(rootDir, dir)) : null;
+  for (const root of outputDir ? roots : []) {
+    const rel = path.relative(root, outputDir);
+    if (!rel.startsWith("..") && !path.isAbsolute(rel)) {
+      throw new Error(`output_dir ${outputDir} must not be inside structures_dir ${root}.`);
+    }
+  }
+  if (outputDir && settings.backup) {
+    console.warn("loot_tabler: backup is ignored with output_dir; sources are never overwritten.");
+  }
+
+  // root -> its path below the roots' common parent; with several roots that keeps
+  // data/a/structures/house.nbt and data/b/structures/house.nbt apart in output_dir
+  const outputPrefixes = {};
+  if (outputDir && roots.length > 1) {
+    const common = commonAncestor(roots);
+    for (const root of roots) outputPrefixes[root] = path.relative(common, path.resolve(root));
+  }
+
+  let backupRun = null;
+  if (settings.backup && !outputDir && !dryRun) {
+    const created = new Date().toISOString();
+    const id = created.replace(/[:.]/g, "-");
+    backupRun = { id, dir: path.join(resolveBackupDir(settings), id), created };
+  }
+  return { outputDir, outputPrefixes, backupRun };
+}
+
+function getOutputPath(filePath, structuresDir, opts) {
+  if (!opts.outputDir) return filePath;
+  const prefix = (opts.outputPrefixes && opts.outputPrefixes[structuresDir]) || "";
+  return path.join(opts.outputDir, prefix, getRelativeToStructures(filePath, structuresDir));
+}
+
+function toBackupRel(filePath) {
+  // project path of a structure; ".." segments (files outside the project) kept inside files/
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  return normRel(path.relative(rootDir, filePath));
+}
+
+async function writeStructureOutput(filePath, structuresDir, buffer, opts) {
+  // Writes one processed structure; buffer is null when nothing changed. Returns the manifest
+  // entry when an in-place change was backed up, else null.
+  if (opts.outputDir) {
+    const dest = getOutputPath(filePath, structuresDir, opts);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    if (buffer) await fs.promises.writeFile(dest, buffer);
+    else await fs.promises.copyFile(filePath, dest);
+    return null;
+  }
+  if (!buffer) return null;
+
+  let backup = null;
+  if (opts.backupRun) {
+    const original = await fs.promises.readFile(filePath);
+    const rel = toBackupRel(filePath);
+    const stored = `files/${rel
+      .split("/")
+      .map((seg) => (seg === ".." ? "_" : seg))
+      .join("/")}`;
+    const backupPath = path.join(opts.backupRun.dir, stored);
+    await fs.promises.mkdir(path.dirname(backupPath), { recursive: true });
+    await fs.promises.writeFile(backupPath, original);
+    backup = { path: rel, backup: stored, before: sha256(original), after: sha256(buffer) };
+  }
+  await fs.promises.writeFile(filePath, buffer);
+  return backup;
+}
+
+async function writeBackupManifest(backupRun, files, complete) {
+  // files: writeStructureOutput entries plus the per-file counts, in file order
+  const manifest = {
+    version: BACKUP_MANIFEST_VERSION,
+    run: backupRun.id,
+    created: backupRun.created,
+    complete,
+    files
+  };
+  await fs.promises.mkdir(backupRun.dir, { recursive: true });
+  const manifestPath = path.join(backupRun.dir, "manifest.json");
+  await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+}
+
+async function finishBackupRun(backupRun, files) {
+  // a run that changed nothing leaves no backup behind, so "latest" stays a useful run
+  if (files.length === 0) {
+    await fs.promises.rm(backupRun.dir, { recursive: true, force: true });
+    return;
+  }
+  await writeBackupManifest(backupRun, files, true);
+  console.log(
+    `loot_tabler: backed up ${files.length} structure(s) to ${backupRun.dir} ` +
+      `(undo with mode "restore", restore_run "${backupRun.id}")`
+  );
+}
+
+async function listBackupRuns(backupDir) {
+  // run ids are timestamps, so name order is time order
+  let names = [];
+  try {
+    names = await fs.promises.readdir(backupDir);
+  } catch {
+    return [];
+  }
+  const runs = [];
+  for (const name of names.sort()) {
+    if (await fileExists(path.join(backupDir, name, "manifest.json"))) runs.push(name);
+  }
+  return runs;
+}
+
+async function restoreBackupRun(settings, dryRun) {
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const backupDir = resolveBackupDir(settings);
+  const runs = await listBackupRuns(backupDir);
+  const wanted = String(settings.restore_run ?? "latest");
+  const id = wanted === "latest" ? runs[runs.length - 1] : wanted;
+  if (!id || !runs.includes(id)) {
+    throw new Error(
+      `No backup run ${JSON.stringify(wanted)} in ${backupDir}; ` +
+        `available: ${runs.length > 0 ? runs.join(", ") : "(none)"}.`
+    );
+  }
+
+  const runDir = path.join(backupDir, id);
+  const manifest = JSON.parse(
+    await fs.promises.readFile(path.join(runDir, "manifest.json"), "utf8")
+  );
+  if (manifest.version !== BACKUP_MANIFEST_VERSION || !Array.isArray(manifest.files)) {
+    throw new Error(`Unsupported backup manifest in ${runDir}.`);
+  }
+  if (manifest.complete === false) {
+    console.warn(
+      `loot_tabler: run ${id} did not finish; restoring the ${manifest.files.length} ` +
+        "structure(s) it recorded"
+    );
+  }
+
+  let restored = 0;
+  let conflicts = 0;
+  for (const f of manifest.files) {
+    const target = path.join(rootDir, f.path);
+    const current = (await fileExists(target)) ? sha256(await fs.promises.readFile(target)) : null;
+    if (current === f.before) {
+      console.log(`${f.path}: already restored`);
+      continue;
+    }
+    // a file edited after the run is left alone; its original stays in files/
+    if (current !== f.after) {
+      console.warn(`loot_tabler: ${f.path}: changed since run ${id}, not restored`);
+      conflicts++;
+      continue;
+    }
+    if (!dryRun) await fs.promises.copyFile(path.join(runDir, f.backup), target);
+    console.log(`${f.path}: ${dryRun ? "would restore" : "restored"}`);
+    restored++;
+  }
+
+  const verb = dryRun ? "would restore" : "restored";
+  console.log(
+    `loot_tabler: run ${id}: ${verb} ${restored} of ${manifest.files.length} structure(s)` +
+      (conflicts > 0 ? `, ${conflicts} changed since the run (left alone)` : "")
+  );
+}
+
+// -------------------- processing cache --------------------
+
+// With settings.cache, every processed structure is recorded under cache_dir as
+//   file path -> { input: sha256(bytes), rule: sha256(resolved rule + options + tool), output,
+//                  result }
+// and the rewritten bytes are kept as blobs/<output>.bin. A structure whose bytes and rule
+// both match is not parsed again: its cached output is written back and its cached result reused.
+// Folder quotas keep their container scan per structure under quotaScans the same way.
+const CACHE_VERSION = 2;
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function resolveCacheDir(settings) {
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const dir = settings.cache_dir || ".regolith/cache/loot_tabler";
+  return path.isAbsolute(dir) ? dir : path.join(rootDir, dir);
+}
+
+async function loadCache(cacheDir) {
+  try {
+    const cache = JSON.parse(await fs.promises.readFile(path.join(cacheDir, "cache.json"), "utf8"));
+    const ok = isPlainObject(cache.entries) && isPlainObject(cache.quotaScans);
+    if (cache.version === CACHE_VERSION && ok) return cache;
+  } catch {
+    // missing or unreadable: start over
+  }
+  return { version: CACHE_VERSION, entries: {}, quotaScans: {} };
+}
+
+async function openCache(settings, opts) {
+  // -> { dir, data } when settings.cache applies to this run, else null
+  const useCache = Boolean(settings.cache) && !opts.dryRun && !opts.diagnostic && !opts.reportLoot;
+  if (!useCache) return null;
+  const dir = resolveCacheDir(settings);
+  return { dir, data: await loadCache(dir) };
+}
+
+async function saveCache(cacheDir, cache, liveKeys) {
+  // drops entries for structures that are gone, and blobs no entry points at
+  const live = new Set(liveKeys);
+  for (const entries of [cache.entries, cache.quotaScans]) {
+    for (const key of Object.keys(entries)) {
+      if (!live.has(key)) delete entries[key];
+    }
+  }
+
+  const blobDir = path.join(cacheDir, "blobs");
+  await fs.promises.mkdir(blobDir, { recursive: true });
+  const used = new Set(Object.values(cache.entries).map((e) => `${e.output}.bin`));
+  for (const name of await fs.promises.readdir(blobDir)) {
+    if (!used.has(name)) await fs.promises.unlink(path.join(blobDir, name));
+  }
+
+  await fs.promises.writeFile(path.join(cacheDir, "cache.json"), JSON.stringify(cache), "utf8");
+}
+
+async function lootTableFilesSignature(bpDir) {
+  // first_existing depends on which loot tables exist, so their paths are part of the rule hash
+  const dir = path.join(bpDir, "loot_tables");
+  if (!(await fileExists(dir))) return "";
+  const files = (await walk(dir)).map((f) => normRel(path.relative(dir, f))).sort();
+  return sha256(files.join("\n"));
+}
+
+let toolSignature = null;
+
+function getToolSignature() {
+  // package version plus a hash of this file, so an upgraded or edited loot_tabler never
+  // reuses output cached by another build
+  if (!toolSignature) {
+    const { version } = require("./package.json");
+    toolSignature = `${version}+${sha256(fs.readFileSync(__filename))}`;
+  }
+  return toolSignature;
+}
+
+function cacheRuleHash(config, relPath, opts, lootFilesSig, quotaPicks) {
+  const { tileConfig, folderMatch } = resolveTileConfig(config, relPath);
+  return sha256(
+    JSON.stringify({
+      version: CACHE_VERSION,
+      tool: getToolSignature(),
+      tileConfig,
+      folderRule: folderMatch ? folderMatch.rule : null,
+      defaults: config.defaults || null,
+      editions: config.editions || null,
+      markers: config.markers || null,
+      globalPositionRules: (config.global && config.global.position_rules) || null,
+      mode: opts.mode,
+      onlyUnassigned: opts.onlyUnassigned,
+      lootFilesSig,
+      quotaPicks: quotaPicks || null
+    })
+  );
+}
+
+async function restoreCachedOutput(cacheDir, entry, job, opts) {
+  // -> the cached result, or null when its output blob is missing (the structure is then
+  // processed again)
+  let buffer = null;
+  if (entry.output !== entry.input) {
+    const blob = path.join(cacheDir, "blobs", `${entry.output}.bin`);
+    if (!(await fileExists(blob))) return null;
+    buffer = await fs.promises.readFile(blob);
+  }
+  const backup = await writeStructureOutput(job.filePath, job.structuresDir, buffer, opts);
+  return { ...entry.result, backup };
+}
+
+async function recordCacheEntry(cacheDir, cache, job, result) {
+  const output = result.buffer ? sha256(result.buffer) : job.inputHash;
+  if (result.buffer) {
+    await fs.promises.mkdir(path.join(cacheDir, "blobs"), { recursive: true });
+    await fs.promises.writeFile(path.join(cacheDir, "blobs", `${output}.bin`), result.buffer);
+  }
+  const { modifiedCount, strippedCount, patchedCount, markerCount, skipped, lootRows } = result;
+  cache.entries[job.key] = {
+    input: job.inputHash,
+    rule: job.ruleHash,
+    output,
+    result: { modifiedCount, strippedCount, patchedCount, markerCount, skipped, lootRows }
+  };
+}
+
+// -------------------- worker pool --------------------
+
+// settings.workers > 1 spreads structures over worker threads (opt-in; the default of 1
+// processes them one by one on the main thread). Workers buffer their console output per
+// structure; the main thread replays it in file order, so the log stays deterministic.
+
+function readWorkerCount(settings) {
+  const v = settings.workers ?? 1;
+  if (Number.isInteger(v) && v >= 1) return v;
+  throw new Error(`Invalid workers setting ${JSON.stringify(v)}; expected an integer >= 1.`);
+}
+
+async function captureConsole(fn) {
+  const logs = [];
+  const saved = {};
+  for (const method of ["log", "warn", "error"]) {
+    saved[method] = console[method];
+    console[method] = (...args) => logs.push([method, util.format(...args)]);
+  }
+  try {
+    return { value: await fn(), logs };
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+function runWorker() {
+  const { config, opts } = workerData;
+  parentPort.on("message", async ({ index, filePath, structuresDir }) => {
+    let error = null;
+    const { value, logs } = await captureConsole(() =>
+      processFile(filePath, structuresDir, config, opts).catch((err) => {
+        error = err && err.message ? err.message : String(err);
+        return null;
+      })
+    );
+    parentPort.postMessage({ index, result: value, error, logs });
+  });
+}
+
+function runWorkerPool(size, data, jobs, onMessage) {
+  // resolves once every job has been answered; onMessage may return a promise
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    const handlers = [];
+    let next = 0;
+    let done = 0;
+    let settled = false;
+
+    // runs once: the first error, exit or the last answer settles the pool
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      for (const w of workers) w.terminate();
+      Promise.all(handlers).then(() => (err ? reject(err) : resolve()), reject);
+    };
+    const dispatch = (w) => {
+      if (next < jobs.length) w.postMessage(jobs[next++]);
+    };
+
+    for (let i = 0; i < Math.min(size, jobs.length); i++) {
+      const w = new Worker(__filename, { workerData: { ...data, lootTablerWorker: true } });
+      workers.push(w);
+      w.on("message", (msg) => {
+        if (settled) return;
+        const handled = Promise.resolve(onMessage(msg));
+        // the first failed handler settles the pool instead of waiting for every job
+        handled.catch(finish);
+        handlers.push(handled);
+        done++;
+        if (done === jobs.length) finish();
+        else dispatch(w);
+      });
+      w.on("error", finish);
+      // a worker that dies without an "error" event (out of memory, process.exit) would leave
+      // its job unanswered
+      w.on("exit", (code) => {
+        finish(new Error(`worker thread exited with code ${code} before finishing its structures`));
+      });
+      dispatch(w);
+    }
+  });
+}
+
+async function processStructureFiles(fileRoots, config, opts, settings, store, onOutcome) {
+  // fileRoots: structure file -> the structures_dir root it was found under.
+  // store: openCache's { dir, data }, or null when the cache is off for this run.
+  // Calls onOutcome(file, { result, error, logs }) once per file, always in fileRoots order.
+  const files = [...fileRoots.keys()];
+  const cacheDir = store ? store.dir : null;
+  const cache = store ? store.data : null;
+  const lootFilesSig =
+    cache && JSON.stringify(config).includes("first_existing")
+      ? await lootTableFilesSignature(opts.bpDir)
+      : null;
+
+  const outcomes = new Array(files.length);
+  const pending = [];
+  let hits = 0;
+  for (let i = 0; i < files.length; i++) {
+    const job = { index: i, filePath: files[i], structuresDir: fileRoots.get(files[i]) };
+    if (cache) {
+      // keyed by project path: several roots may hold the same structure path
+      job.key = normRel(path.relative(process.cwd(), files[i]));
+      job.inputHash = sha256(await fs.promises.readFile(files[i]));
+      const rel = getRelativeToStructures(files[i], job.structuresDir);
+      const quotaPicks = (opts.quotaPlacements || {})[path.relative(process.cwd(), files[i])];
+      job.ruleHash = cacheRuleHash(config, rel, opts, lootFilesSig, quotaPicks);
+      const entry = cache.entries[job.key];
+      const fresh = entry && entry.input === job.inputHash && entry.rule === job.ruleHash;
+      const result = fresh ? await restoreCachedOutput(cacheDir, entry, job, opts) : null;
+      if (result) {
+        outcomes[i] = { result };
+        hits++;
+        continue;
+      }
+    }
+    pending.push(job);
+  }
+
+  let flushed = 0;
+  const flush = () => {
+    while (flushed < files.length && outcomes[flushed]) {
+      const outcome = outcomes[flushed];
+      for (const [method, text] of outcome.logs || []) console[method](text);
+      onOutcome(files[flushed], outcome);
+      flushed++;
+    }
+  };
+  const settle = async (job, outcome) => {
+    if (cache && outcome.result) await recordCacheEntry(cacheDir, cache, job, outcome.result);
+    outcomes[job.index] = outcome;
+    flush();
+  };
+  flush();
+
+  const size = readWorkerCount(settings);
+  if (size <= 1 || pending.length <= 1) {
+    for (const job of pending) {
+      try {
+        await settle(job, {
+          result: await processFile(job.filePath, job.structuresDir, config, opts)
+        });
+      } catch (err) {
+        await settle(job, { error: err && err.message ? err.message : String(err) });
+      }
+    }
+  } else {
+    const byIndex = new Map(pending.map((job) => [job.index, job]));
+    await runWorkerPool(
+      size,
+      { config, opts },
+      pending.map(({ index, filePath, structuresDir }) => ({ index, filePath, structuresDir })),
+      (msg) => {
+        const result =
+          msg.result && msg.result.buffer
+            ? { ...msg.result, buffer: Buffer.from(msg.result.buffer) }
+            : msg.result;
+        return settle(byIndex.get(msg.index), { result, error: msg.error, logs: msg.logs });
+      }
+    );
+  }
+
+  if (cache) {
+    await saveCache(
+      cacheDir,
+      cache,
+      files.map((f) => normRel(path.relative(process.cwd(), f)))
+    );
+    console.log(`loot_tabler: cache: ${hits} of ${files.length} structure(s) unchanged, skipped.`);
+  }
+}
+
+// -------------------- config loading --------------------
+
+async function loadLootConfig(settings) {
+  // Option A: inline config object
+  if (settings.loot_config && typeof settings.loot_config === "object") {
+    return resolveConfigIncludes(settings.loot_config, null, []);
+  }
+
+  // Option B: path to JSON file (relative to ROOT_DIR or FILTER_DIR, or absolute)
+  const cfgPath = settings.loot_config_path || settings.config_path;
+  if (!cfgPath) {
+    throw new Error(
+      "Missing loot config. Provide settings.loot_config (object) or settings.loot_config_path (string)."
+    );
+  }
+
+  const { resolved, candidates } = await findConfigFile(cfgPath);
+  if (!resolved) {
+    throw new Error(`Could not find loot config file. Tried:\n- ${candidates.join("\n- ")}`);
+  }
+
+  return readConfigFile(resolved, []);
+}
+
+async function findConfigFile(cfgPath) {
+  // absolute, then relative to ROOT_DIR, FILTER_DIR and the working directory
+  const rootDir = process.env.ROOT_DIR;
+  const filterDir = process.env.FILTER_DIR;
+
+  const candidates = [];
+  if (path.isAbsolute(cfgPath)) candidates.push(cfgPath);
+  if (rootDir) candidates.push(path.join(rootDir, cfgPath));
+  if (filterDir) candidates.push(path.join(filterDir, cfgPath));
+  candidates.push(path.resolve(cfgPath)); // fallback
+
+  for (const c of candidates) {
+    if (await fileExists(c)) return { resolved: c, candidates };
+  }
+  return { resolved: null, candidates };
+}
+
+// -------------------- config composition --------------------
+
+// "include": ["loot/villages.json", ...] merges other config files into this one. Paths are
+// relative to the including file (an inline loot_config resolves them like loot_config_path).
+// Included files may not disagree with each other; the including file's own keys win over them.
+// "presets" + "extends" and folder "inherit" are resolved per structure in pickFolderRuleMatch.
+
+async function readConfigFile(file, stack) {
+  const raw = await fs.promises.readFile(file, "utf8");
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(
+      `Could not parse loot config ${path.relative(process.cwd(), file)}: ${e.message}`
+    );
+  }
+  return resolveConfigIncludes(config, file, stack);
+}
+
+async function resolveConfigIncludes(config, file, stack) {
+  if (!isPlainObject(config) || config.include === undefined) return config;
+
+  const label = (f) => (f ? path.relative(process.cwd(), f) : "(inline loot_config)");
+  const chain = [...stack, file];
+  const includes = Array.isArray(config.include) ? config.include : [config.include];
+
+  const merged = {};
+  const origins = new Map(); // json path -> file that set it
+  const conflicts = [];
+  for (const inc of includes) {
+    if (typeof inc !== "string" || inc.trim() === "") {
+      throw new Error(
+        `${label(file)}: "include" entries must be file paths, got ${JSON.stringify(inc)}`
+      );
+    }
+
+    let target = null;
+    if (file) {
+      target = path.resolve(path.dirname(file), inc);
+      if (!(await fileExists(target))) target = null;
+    } else {
+      target = (await findConfigFile(inc)).resolved;
+    }
+    if (!target) throw new Error(`${label(file)}: included file ${JSON.stringify(inc)} not found`);
+
+    if (chain.includes(target)) {
+      throw new Error(`Loot config include cycle: ${[...chain, target].map(label).join(" -> ")}`);
+    }
+
+    const part = await readConfigFile(target, chain);
+    mergeIncludedConfig(merged, part, "$", label(target), origins, conflicts);
+  }
+
+  if (conflicts.length > 0) {
+    console.error(
+      `loot_tabler: included loot config files disagree on ${conflicts.length} key(s):`
+    );
+    for (const c of conflicts) console.error(`  ${c}`);
+    throw new Error("Conflicting loot config includes; no structures were modified.");
+  }
+
+  const own = { ...config };
+  delete own.include;
+  return mergeConfigLayers(merged, own);
+}
+
+function mergeIncludedConfig(target, source, p, fileLabel, origins, conflicts) {
+  for (const key of Object.keys(source)) {
+    const kp = jsonPath(p, key);
+    const a = target[key];
+    const b = source[key];
+    if (isPlainObject(b) && (a === undefined || isPlainObject(a))) {
+      if (a === undefined) target[key] = {};
+      mergeIncludedConfig(target[key], b, kp, fileLabel, origins, conflicts);
+    } else if (key === "position_rules" && Array.isArray(a) && Array.isArray(b)) {
+      target[key] = [...a, ...b];
+    } else if (a !== undefined && JSON.stringify(a) !== JSON.stringify(b)) {
+      conflicts.push(
+        `${kp}: ${origins.get(kp) || "another include"} sets ${JSON.stringify(a)}, ` +
+          `${fileLabel} sets ${JSON.stringify(b)}`
+      );
+    } else {
+      target[key] = b;
+      origins.set(kp, fileLabel);
+    }
+  }
+}
+
+function mergeConfigLayers(base, over) {
+  // `over` wins; objects merge key by key and position_rules lists are concatenated
+  const out = { ...base };
+  for (const key of Object.keys(over)) {
+    const a = out[key];
+    const b = over[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      out[key] = mergeConfigLayers(a, b);
+    } else if (key === "position_rules" && Array.isArray(a) && Array.isArray(b)) {
+      out[key] = [...a, ...b];
+    } else {
+      out[key] = b;
+    }
+  }
+  return out;
+}
+
+function applyPresets(config, rule, seen = []) {
+  // merges the presets named by rule.extends (in order) underneath the rule
+  if (!isPlainObject(rule) || rule.extends === undefined) return rule;
+  const presets = isPlainObject(config.presets) ? config.presets : {};
+  const names = Array.isArray(rule.extends) ? rule.extends : [rule.extends];
+
+  let base = {};
+  for (const name of names) {
+    if (!isPlainObject(presets[name])) throw new Error(`Unknown preset ${JSON.stringify(name)}`);
+    if (seen.includes(name)) {
+      throw new Error(
+        `Preset cycle: ${[...seen, name].map((n) => JSON.stringify(n)).join(" -> ")}`
+      );
+    }
+    base = mergeConfigLayers(base, applyPresets(config, presets[name], [...seen, name]));
+  }
+
+  const own = { ...rule };
+  delete own.extends;
+  return mergeConfigLayers(base, own);
+}
+
+// -------------------- config validation --------------------
+
+// Block entity ids that can carry a LootTable in Bedrock.
+const KNOWN_TILE_IDS = [
+  "Chest",
+  "Barrel",
+  "ShulkerBox",
+  "Dispenser",
+  "Dropper",
+  "Hopper",
+  "Crafter",
+  "BrushableBlock",
+  "DecoratedPot"
+];
+
+// Entities that carry a LootTable when saved into a structure (structure.entities).
+const KNOWN_CONTAINER_ENTITY_IDS = [
+  "minecraft:chest_minecart",
+  "minecraft:hopper_minecart",
+  "minecraft:chest_boat"
+];
+
+const TOP_LEVEL_KEYS = [
+  "defaults",
+  "global",
+  "folders",
+  "presets",
+  "editions",
+  "markers",
+  "tile_entities",
+  "containers"
+];
+const DEFAULTS_KEYS = ["seed", "seed_strategy", "seed_salt", "items_policy", "override_existing"];
+const SCOPE_KEYS = ["tile_entities", "containers"];
+const GLOBAL_KEYS = [...SCOPE_KEYS, "position_rules"];
+const FOLDER_RULE_KEYS = [
+  ...SCOPE_KEYS,
+  "structure_defaults",
+  "structure_overrides",
+  "seed_strategy",
+  "items_policy",
+  "position_rules",
+  "quotas",
+  "priority",
+  "inherit",
+  "extends"
+];
+const TILE_RULE_KEYS = ["loot_table", "seed", "seed_strategy", "items_policy", "nbt"];
+const MARKER_KEYS = ["name_pattern", "aliases", "blocks", "replace_with"];
+const LOOT_CHOICE_KEYS = ["loot_table", "weight", "min", "max"];
+const POSITION_RULE_KEYS = [
+  "tile",
+  "structure",
+  "block",
+  "y",
+  "box",
+  "nearest_center",
+  ...TILE_RULE_KEYS
+];
+const QUOTA_RULE_KEYS = [
+  "name",
+  "tile",
+  "structure",
+  "block",
+  "y",
+  "box",
+  "count",
+  "share",
+  "per_structure",
+  "placement_seed",
+  ...TILE_RULE_KEYS
+];
+
+function editDistance(a, b) {
+  const prev = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + cost);
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function suggest(name, candidates) {
+  // closest candidate, case-insensitive; only if it's plausibly a typo
+  const lower = String(name).toLowerCase();
+  let best = null;
+  let bestDist = Infinity;
+  for (const c of candidates) {
+    const d = editDistance(lower, c.toLowerCase());
+    if (d < bestDist) {
+      best = c;
+      bestDist = d;
+    }
+  }
+  const maxDist = Math.max(2, Math.floor(lower.length / 3));
+  return bestDist <= maxDist ? best : null;
+}
+
+function jsonPath(parent, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function describeType(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function validateLootConfig(config) {
+  // Returns a list of { path, message }; empty list means the config is usable.
+  const problems = [];
+  const report = (p, message) => problems.push({ path: p, message });
+
+  function checkKeys(obj, p, allowed, what) {
+    for (const key of Object.keys(obj)) {
+      if (allowed.includes(key)) continue;
+      const hint = suggest(key, allowed);
+      report(jsonPath(p, key), `unknown ${what} key${hint ? ` (did you mean "${hint}"?)` : ""}`);
+    }
+  }
+
+  function checkObject(v, p) {
+    if (isPlainObject(v)) return true;
+    report(p, `expected an object, got ${describeType(v)}`);
+    return false;
+  }
+
+  function checkBlockSpec(spec, p) {
+    if (typeof spec !== "string" || !parseBlockSpec(spec)) {
+      report(
+        p,
+        `malformed block key ${JSON.stringify(spec)}; expected "namespace:name[state=value,...]"`
+      );
+    }
+  }
+
+  function checkTileId(tileId, p) {
+    // entity identifiers (minecraft:chest_minecart) share the namespaced syntax with block keys
+    if (isBlockKey(tileId)) {
+      checkBlockSpec(tileId, p);
+      return;
+    }
+    if (KNOWN_TILE_IDS.includes(tileId)) return;
+    const namespaced = `minecraft:${tileId}`;
+    const hint = KNOWN_CONTAINER_ENTITY_IDS.includes(namespaced)
+      ? namespaced
+      : suggest(tileId, KNOWN_TILE_IDS);
+    report(p, `unknown tile entity id "${tileId}"${hint ? ` (did you mean "${hint}"?)` : ""}`);
+  }
+
+  function checkSeed(v, p) {
+    if (v === null || v === "") return;
+    let big = null;
+    if (typeof v === "number" && Number.isInteger(v)) big = BigInt(v);
+    else if (typeof v === "string" && /^-?\d+$/.test(v.trim())) big = BigInt(v.trim());
+    if (big === null) {
+      report(p, `seed must be an integer (or a string of digits), got ${JSON.stringify(v)}`);
+      return;
+    }
+    if (big < -(2n ** 63n) || big >= 2n ** 63n) {
+      report(p, `seed ${v} does not fit in a signed 64-bit long`);
+    }
+  }
+
+  const hasSalt =
+    isPlainObject(config) && isPlainObject(config.defaults) && config.defaults.seed_salt != null;
+
+  function checkSeedStrategy(v, p) {
+    if (!SEED_STRATEGIES.includes(v)) {
+      const hint = typeof v === "string" ? suggest(v, SEED_STRATEGIES) : null;
+      report(
+        p,
+        `unknown seed_strategy ${JSON.stringify(v)}${hint ? ` (did you mean "${hint}"?)` : ""}; ` +
+          `expected one of: ${SEED_STRATEGIES.join(", ")}`
+      );
+    } else if (v === "hash+salt" && !hasSalt) {
+      report(p, `seed_strategy "hash+salt" needs $.defaults.seed_salt`);
+    }
+  }
+
+  function checkRuleOptions(obj, p) {
+    // options that can sit on defaults, a folder rule or a single tile rule
+    if ("seed_strategy" in obj) checkSeedStrategy(obj.seed_strategy, jsonPath(p, "seed_strategy"));
+    if ("items_policy" in obj && !ITEMS_POLICIES.includes(obj.items_policy)) {
+      const v = obj.items_policy;
+      const hint = typeof v === "string" ? suggest(v, ITEMS_POLICIES) : null;
+      report(
+        jsonPath(p, "items_policy"),
+        `unknown items_policy ${JSON.stringify(v)}${hint ? ` (did you mean "${hint}"?)` : ""}; ` +
+          `expected one of: ${ITEMS_POLICIES.join(", ")}`
+      );
+    }
+  }
+
+  function checkPlaceholders(v, p) {
+    for (const [, name] of v.matchAll(PLACEHOLDER_RE)) {
+      if (LOOT_PATH_PLACEHOLDERS.includes(name)) continue;
+      const hint = suggest(name, LOOT_PATH_PLACEHOLDERS);
+      report(
+        p,
+        `unknown placeholder {${name}}${hint ? ` (did you mean {${hint}}?)` : ""}; ` +
+          `expected one of: ${LOOT_PATH_PLACEHOLDERS.map((n) => `{${n}}`).join(", ")}`
+      );
+    }
+  }
+
+  function checkFallbackList(v, p) {
+    checkKeys(v, p, ["first_existing"], "fallback list");
+    const list = v.first_existing;
+    const lp = jsonPath(p, "first_existing");
+    if (!Array.isArray(list) || list.length === 0) {
+      report(lp, "expected a non-empty list of loot table paths");
+      return;
+    }
+    list.forEach((c, i) => {
+      if (typeof c !== "string" || c.trim() === "") {
+        report(`${lp}[${i}]`, `loot table must be a non-empty string, got ${JSON.stringify(c)}`);
+      } else {
+        checkPlaceholders(c, `${lp}[${i}]`);
+      }
+    });
+  }
+
+  function checkLootTablePath(v, p) {
+    if (v === null) return; // strips loot from matching containers
+    if (Array.isArray(v)) {
+      checkLootChoices(v, p);
+      return;
+    }
+    if (isFallbackList(v)) {
+      checkFallbackList(v, p);
+      return;
+    }
+    if (typeof v === "string") checkPlaceholders(v, p);
+    if (typeof v !== "string" || v.trim() === "") {
+      report(
+        p,
+        `loot table must be a non-empty string, weighted list or null, got ${JSON.stringify(v)}`
+      );
+    }
+  }
+
+  function checkLootChoices(list, p) {
+    if (list.length === 0) {
+      report(p, "weighted loot table list is empty");
+      return;
+    }
+    let minTotal = 0;
+    let maxTotal = 0;
+    list.forEach((c, i) => {
+      const cp = `${p}[${i}]`;
+      if (typeof c === "string") {
+        if (c.trim() === "") report(cp, "loot table must be a non-empty string");
+        else checkPlaceholders(c, cp);
+        maxTotal = Infinity;
+        return;
+      }
+      if (!checkObject(c, cp)) return;
+      checkKeys(c, cp, LOOT_CHOICE_KEYS, "weighted loot table");
+      if (isFallbackList(c.loot_table)) {
+        checkFallbackList(c.loot_table, jsonPath(cp, "loot_table"));
+      } else if (typeof c.loot_table === "string" && c.loot_table.trim() !== "") {
+        checkPlaceholders(c.loot_table, jsonPath(cp, "loot_table"));
+      } else {
+        report(
+          jsonPath(cp, "loot_table"),
+          `loot table must be a non-empty string, got ${JSON.stringify(c.loot_table)}`
+        );
+      }
+      const weightOk = typeof c.weight === "number" && Number.isFinite(c.weight) && c.weight >= 0;
+      if ("weight" in c && !weightOk) {
+        report(jsonPath(cp, "weight"), "weight must be a non-negative number");
+      }
+      for (const k of ["min", "max"]) {
+        if (k in c && !(Number.isInteger(c[k]) && c[k] >= 0)) {
+          report(jsonPath(cp, k), `${k} must be a non-negative integer`);
+        }
+      }
+      if (Number.isInteger(c.min) && Number.isInteger(c.max) && c.min > c.max) {
+        report(cp, `min (${c.min}) is greater than max (${c.max})`);
+      }
+      minTotal += Number.isInteger(c.min) ? c.min : 0;
+      maxTotal += Number.isInteger(c.max) ? c.max : Infinity;
+    });
+    if (list.every((c) => isPlainObject(c) && c.weight === 0 && !c.min)) {
+      report(p, "every weight is 0, nothing can be picked");
+    }
+    if (minTotal > maxTotal) {
+      report(p, `sum of min (${minTotal}) exceeds sum of max (${maxTotal})`);
+    }
+  }
+
+  function checkNbtValue(spec, p) {
+    if (!checkObject(spec, p)) return;
+    const allowed = spec.type === "list" ? ["type", "element", "value"] : ["type", "value"];
+    checkKeys(spec, p, allowed, "nbt value");
+    if (!NBT_PATCH_TYPES.includes(spec.type)) {
+      report(
+        jsonPath(p, "type"),
+        `unknown nbt type ${JSON.stringify(spec.type)}; expected one of: ${NBT_PATCH_TYPES.join(", ")}`
+      );
+      return;
+    }
+    if (!("value" in spec)) {
+      report(p, `missing "value"`);
+      return;
+    }
+    if (spec.type === "list") {
+      if (!NBT_LIST_ELEMENT_TYPES.includes(spec.element)) {
+        report(
+          jsonPath(p, "element"),
+          `list element must be one of: ${NBT_LIST_ELEMENT_TYPES.join(", ")}, got ${JSON.stringify(spec.element)}`
+        );
+        return;
+      }
+      if (!Array.isArray(spec.value)) {
+        report(jsonPath(p, "value"), `expected an array, got ${describeType(spec.value)}`);
+        return;
+      }
+      spec.value.forEach((v, i) =>
+        checkNbtScalar(spec.element, v, `${jsonPath(p, "value")}[${i}]`)
+      );
+      return;
+    }
+    checkNbtScalar(spec.type, spec.value, jsonPath(p, "value"));
+  }
+
+  function checkNbtScalar(type, v, p) {
+    if (type === "compound") {
+      checkNbtPatch(v, p);
+      return;
+    }
+    if (type === "string") {
+      if (typeof v !== "string") report(p, `expected a string, got ${describeType(v)}`);
+      return;
+    }
+    if (type === "long") {
+      const ok =
+        (typeof v === "number" && Number.isSafeInteger(v)) ||
+        (typeof v === "string" && /^-?\d+$/.test(v) && BigInt.asIntN(64, BigInt(v)) === BigInt(v));
+      if (!ok) {
+        report(p, `expected a 64-bit integer (or a string of digits), got ${JSON.stringify(v)}`);
+      }
+      return;
+    }
+    const bits = type === "byte" ? 8 : 32;
+    const min = -(2 ** (bits - 1));
+    const max = 2 ** (bits - 1) - 1;
+    if (!Number.isInteger(v) || v < min || v > max) {
+      report(p, `expected a ${type} (${min}..${max}), got ${JSON.stringify(v)}`);
+    }
+  }
+
+  function checkNbtPatch(patch, p) {
+    if (!checkObject(patch, p)) return;
+    for (const name of Object.keys(patch)) {
+      checkNbtValue(patch[name], jsonPath(p, name));
+    }
+  }
+
+  function checkTileRule(rule, tp, keys = TILE_RULE_KEYS, what = "tile rule") {
+    checkKeys(rule, tp, keys, what);
+    if ("loot_table" in rule) checkLootTablePath(rule.loot_table, jsonPath(tp, "loot_table"));
+    else if (!("nbt" in rule)) report(tp, `missing "loot_table" (or "nbt")`);
+    if ("seed" in rule) checkSeed(rule.seed, jsonPath(tp, "seed"));
+    if ("nbt" in rule) {
+      const np = jsonPath(tp, "nbt");
+      checkNbtPatch(rule.nbt, np);
+      if (isPlainObject(rule.nbt)) {
+        for (const name of NBT_RESERVED_TAGS) {
+          if (name in rule.nbt) {
+            report(jsonPath(np, name), `${name} is set by loot assignment and cannot be patched`);
+          }
+        }
+      }
+    }
+    checkRuleOptions(rule, tp);
+  }
+
+  function checkTileMap(map, p) {
+    if (!checkObject(map, p)) return;
+    for (const tileId of Object.keys(map)) {
+      const tp = jsonPath(p, tileId);
+      checkTileId(tileId, tp);
+      const rule = map[tileId];
+      if (!checkObject(rule, tp)) continue;
+      checkTileRule(rule, tp);
+    }
+  }
+
+  function checkScope(scope, p) {
+    for (const key of SCOPE_KEYS) {
+      if (key in scope) checkTileMap(scope[key], jsonPath(p, key));
+    }
+  }
+
+  function checkKeyPattern(key, p) {
+    try {
+      compileKeyPattern(key);
+    } catch (e) {
+      report(p, `invalid pattern: ${e.message}`);
+    }
+  }
+
+  function checkPriority(v, p) {
+    if (typeof v !== "number" || !Number.isFinite(v)) report(p, "priority must be a number");
+  }
+
+  function checkTileToLootMap(map, p, allowPriority = false, tileKeys = true) {
+    // tileKeys: false for marker aliases, whose keys are free-form names
+    if (!checkObject(map, p)) return;
+    for (const tileId of Object.keys(map)) {
+      const tp = jsonPath(p, tileId);
+      if (allowPriority && tileId === "priority") {
+        checkPriority(map[tileId], tp);
+        continue;
+      }
+      if (tileKeys) checkTileId(tileId, tp);
+      const v = map[tileId];
+      if (isPlainObject(v) && !isFallbackList(v)) checkTileRule(v, tp);
+      else checkLootTablePath(v, tp);
+    }
+  }
+
+  function checkRange(v, p, length) {
+    const ok =
+      Array.isArray(v) && v.length === length && v.every((n) => n === null || Number.isInteger(n));
+    if (!ok) report(p, `expected an array of ${length} integers (null for an open end)`);
+    return ok;
+  }
+
+  function checkPositionRules(rules, p) {
+    if (!Array.isArray(rules)) {
+      report(p, `expected an array, got ${describeType(rules)}`);
+      return;
+    }
+    rules.forEach((rule, i) => {
+      const rp = `${p}[${i}]`;
+      if (!checkObject(rule, rp)) return;
+
+      if (!("y" in rule || "box" in rule || rule.nearest_center === true)) {
+        report(rp, `needs at least one of "y", "box" or "nearest_center"`);
+      }
+      checkContainerFilters(rule, rp);
+      if ("nearest_center" in rule && typeof rule.nearest_center !== "boolean") {
+        report(jsonPath(rp, "nearest_center"), "expected a boolean");
+      }
+
+      checkTileRule(rule, rp, POSITION_RULE_KEYS, "position rule");
+    });
+  }
+
+  function checkQuotas(quotas, p) {
+    if (!Array.isArray(quotas)) {
+      report(p, `expected an array, got ${describeType(quotas)}`);
+      return;
+    }
+    quotas.forEach((quota, i) => {
+      const qp = `${p}[${i}]`;
+      if (!checkObject(quota, qp)) return;
+
+      if ("count" in quota === "share" in quota) {
+        report(qp, `needs exactly one of "count" or "share"`);
+      }
+      if ("count" in quota && !(Number.isInteger(quota.count) && quota.count >= 0)) {
+        report(jsonPath(qp, "count"), "expected an integer >= 0");
+      }
+      const share = quota.share;
+      if ("share" in quota && !(typeof share === "number" && share >= 0 && share <= 1)) {
+        report(jsonPath(qp, "share"), "expected a number between 0 and 1");
+      }
+      const perStructure = quota.per_structure;
+      if ("per_structure" in quota && !(Number.isInteger(perStructure) && perStructure >= 1)) {
+        report(jsonPath(qp, "per_structure"), "expected an integer >= 1");
+      }
+      for (const key of ["name", "placement_seed"].filter((k) => k in quota)) {
+        if (!["string", "number"].includes(typeof quota[key])) {
+          report(jsonPath(qp, key), "expected a string or number");
+        }
+      }
+      // one table per placed container: no weighted lists, no null
+      const lt = quota.loot_table;
+      const badTable = "loot_table" in quota ? Array.isArray(lt) || lt === null : "nbt" in quota;
+      if (badTable) {
+        report(jsonPath(qp, "loot_table"), "expected a loot table path or a first_existing list");
+      }
+      checkContainerFilters(quota, qp);
+      checkTileRule(quota, qp, QUOTA_RULE_KEYS, "quota");
+    });
+  }
+
+  function checkContainerFilters(rule, rp) {
+    // tile / structure / block / y / box, shared by position rules and quotas
+    if ("tile" in rule) {
+      const tiles = Array.isArray(rule.tile) ? rule.tile : [rule.tile];
+      tiles.forEach((t) => checkTileId(t, jsonPath(rp, "tile")));
+    }
+    if ("structure" in rule) {
+      const keys = Array.isArray(rule.structure) ? rule.structure : [rule.structure];
+      if (!keys.every((k) => typeof k === "string" && k !== "")) {
+        report(jsonPath(rp, "structure"), "expected a structure name or a list of names");
+      }
+    }
+    if ("block" in rule) {
+      const specs = Array.isArray(rule.block) ? rule.block : [rule.block];
+      specs.forEach((b) => checkBlockSpec(b, jsonPath(rp, "block")));
+    }
+    if ("y" in rule) checkRange(rule.y, jsonPath(rp, "y"), 2);
+    if ("box" in rule) {
+      const bp = jsonPath(rp, "box");
+      if (checkObject(rule.box, bp)) {
+        checkKeys(rule.box, bp, ["min", "max"], "box");
+        checkRange(rule.box.min, jsonPath(bp, "min"), 3);
+        checkRange(rule.box.max, jsonPath(bp, "max"), 3);
+      }
+    }
+  }
+
+  function checkExtends(v, p) {
+    const names = Array.isArray(v) ? v : [v];
+    const presetNames = isPlainObject(config.presets) ? Object.keys(config.presets) : [];
+    if (names.length === 0 || !names.every((n) => typeof n === "string" && n !== "")) {
+      report(p, "expected a preset name or a list of preset names");
+      return;
+    }
+    for (const name of names) {
+      if (presetNames.includes(name)) continue;
+      const hint = suggest(name, presetNames);
+      report(
+        p,
+        `unknown preset ${JSON.stringify(name)}${hint ? ` (did you mean "${hint}"?)` : ""}`
+      );
+    }
+  }
+
+  function findPresetCycle(presets, start) {
+    // the "extends" path from `start` back to itself, or null
+    const visited = new Set();
+    const visit = (name, trail) => {
+      const preset = presets[name];
+      if (!isPlainObject(preset) || preset.extends === undefined) return null;
+      const next = Array.isArray(preset.extends) ? preset.extends : [preset.extends];
+      for (const n of next) {
+        if (n === start) return [...trail, n];
+        if (visited.has(n)) continue;
+        visited.add(n);
+        const cycle = visit(n, [...trail, n]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+    return visit(start, [start]);
+  }
+
+  function checkFolderRule(rule, p, what) {
+    if (!checkObject(rule, p)) return;
+    checkKeys(rule, p, FOLDER_RULE_KEYS, what);
+    checkScope(rule, p);
+    checkRuleOptions(rule, p);
+    if ("priority" in rule) checkPriority(rule.priority, jsonPath(p, "priority"));
+    if ("inherit" in rule && typeof rule.inherit !== "boolean") {
+      report(jsonPath(p, "inherit"), "expected a boolean");
+    }
+    if ("extends" in rule) checkExtends(rule.extends, jsonPath(p, "extends"));
+    if ("position_rules" in rule) {
+      checkPositionRules(rule.position_rules, jsonPath(p, "position_rules"));
+    }
+    if ("quotas" in rule) checkQuotas(rule.quotas, jsonPath(p, "quotas"));
+
+    if ("structure_defaults" in rule) {
+      checkTileToLootMap(rule.structure_defaults, jsonPath(p, "structure_defaults"));
+    }
+
+    if ("structure_overrides" in rule) {
+      const op = jsonPath(p, "structure_overrides");
+      if (checkObject(rule.structure_overrides, op)) {
+        for (const name of Object.keys(rule.structure_overrides)) {
+          checkKeyPattern(normStructureKey(name), jsonPath(op, name));
+          checkTileToLootMap(rule.structure_overrides[name], jsonPath(op, name), true);
+        }
+      }
+    }
   }
 
-  // ---------- pick folder rule ----------
-  const relToStructures = getRelativeToStructures(filePath, structuresDir);
-  const folderRule = pickFolderRule(config, relToStructures);
+  const root = "$";
+  if (!checkObject(config, root)) return problems;
+  checkKeys(config, root, TOP_LEVEL_KEYS, "top-level");
 
-  // Build per-file tile config using:
-  // global + folder tile_entities + structure_defaults + structure_overrides
-  const tileConfig = buildPerFileTileConfig(config, folderRule, filePath);
+  if ("defaults" in config) {
+    const p = jsonPath(root, "defaults");
+    const defaults = config.defaults;
+    if (checkObject(defaults, p)) {
+      checkKeys(defaults, p, DEFAULTS_KEYS, "defaults");
+      if ("seed" in defaults) checkSeed(defaults.seed, jsonPath(p, "seed"));
+      checkRuleOptions(defaults, p);
+      if ("seed_salt" in defaults && !["string", "number"].includes(typeof defaults.seed_salt)) {
+        report(jsonPath(p, "seed_salt"), "expected a string or number");
+      }
+      if ("override_existing" in defaults && typeof defaults.override_existing !== "boolean") {
+        report(jsonPath(p, "override_existing"), "expected a boolean");
+      }
+    }
+  }
 
-  // Backwards compat: if no global/folders/defaults/overrides used, allow legacy top-level tile_entities/containers
-  const legacyTopLevel = getTileMap(config);
-  if (Object.keys(tileConfig).length === 0 && Object.keys(legacyTopLevel).length > 0) {
-    for (const k of Object.keys(legacyTopLevel)) tileConfig[k] = legacyTopLevel[k];
+  if ("global" in config) {
+    const p = jsonPath(root, "global");
+    if (checkObject(config.global, p)) {
+      checkKeys(config.global, p, GLOBAL_KEYS, "global");
+      checkScope(config.global, p);
+      if ("position_rules" in config.global) {
+        checkPositionRules(config.global.position_rules, jsonPath(p, "position_rules"));
+      }
+    }
   }
 
-  const defaults = config.defaults || {};
-  const defaultSeed = defaults.seed ?? null;
-  const overrideExisting = Boolean(defaults.override_existing);
+  // legacy top-level tile_entities/containers
+  checkScope(config, root);
 
-  let modifiedCount = 0;
+  if ("folders" in config) {
+    const fp = jsonPath(root, "folders");
+    if (checkObject(config.folders, fp)) {
+      for (const folderKey of Object.keys(config.folders)) {
+        const p = jsonPath(fp, folderKey);
+        if (!normRel(folderKey)) {
+          report(p, "folder key is empty");
+        } else {
+          checkKeyPattern(
+            folderKey.startsWith(REGEX_KEY_PREFIX) ? folderKey : normRel(folderKey),
+            p
+          );
+        }
+        checkFolderRule(config.folders[folderKey], p, "folder rule");
+      }
+    }
+  }
 
-  // Iterate over every block entity in block_position_data
-  for (const indexKey of Object.keys(blockPosDataVal)) {
-    const posEntryTag = blockPosDataVal[indexKey];
-    if (!posEntryTag || posEntryTag.type !== "compound") continue;
+  if ("presets" in config) {
+    const pp = jsonPath(root, "presets");
+    if (checkObject(config.presets, pp)) {
+      for (const name of Object.keys(config.presets)) {
+        const p = jsonPath(pp, name);
+        checkFolderRule(config.presets[name], p, "preset");
+        const cycle = findPresetCycle(config.presets, name);
+        if (cycle) {
+          const names = cycle.map((n) => JSON.stringify(n)).join(" -> ");
+          report(p, `preset extends itself: ${names}`);
+        }
+      }
+    }
+  }
 
-    const blockEntityDataTag = posEntryTag.value.block_entity_data;
-    if (!blockEntityDataTag || blockEntityDataTag.type !== "compound") continue;
+  if ("editions" in config) {
+    const ep = jsonPath(root, "editions");
+    if (checkObject(config.editions, ep)) {
+      checkKeys(config.editions, ep, EDITIONS, "edition");
+      for (const edition of EDITIONS.filter((e) => e in config.editions)) {
+        const p = jsonPath(ep, edition);
+        const mapping = config.editions[edition];
+        if (!checkObject(mapping, p)) continue;
+        checkKeys(mapping, p, EDITION_KEYS, "edition mapping");
+        for (const key of ["tile_ids", "loot_tables"].filter((k) => k in mapping)) {
+          const mp = jsonPath(p, key);
+          if (!checkObject(mapping[key], mp)) continue;
+          for (const [from, to] of Object.entries(mapping[key])) {
+            if (typeof to !== "string" || to.trim() === "") {
+              report(jsonPath(mp, from), `expected a non-empty string, got ${describeType(to)}`);
+            }
+          }
+        }
+        const ns = mapping.loot_table_namespace;
+        if ("loot_table_namespace" in mapping && !/^[a-z0-9_.-]+$/.test(String(ns))) {
+          report(
+            jsonPath(p, "loot_table_namespace"),
+            `expected a namespace like "minecraft", got ${JSON.stringify(ns)}`
+          );
+        }
+      }
+    }
+  }
 
-    const bedVal = blockEntityDataTag.value;
+  if ("markers" in config) {
+    const mp = jsonPath(root, "markers");
+    const markers = config.markers;
+    if (checkObject(markers, mp)) {
+      checkKeys(markers, mp, MARKER_KEYS, "markers");
+      if ("name_pattern" in markers) {
+        const np = jsonPath(mp, "name_pattern");
+        if (typeof markers.name_pattern !== "string" || markers.name_pattern === "") {
+          report(np, `expected a regex string, got ${describeType(markers.name_pattern)}`);
+        } else {
+          try {
+            new RegExp(markers.name_pattern);
+          } catch (e) {
+            report(np, `invalid pattern: ${e.message}`);
+          }
+        }
+      }
 
-    const idTag = bedVal.id;
-    if (!idTag || idTag.type !== "string") continue;
-    const tileId = idTag.value; // e.g. "Chest", "Barrel", "BrushableBlock", "DecoratedPot"
+      const aliases = isPlainObject(markers.aliases) ? Object.keys(markers.aliases) : [];
+      if (!("aliases" in markers)) report(mp, `missing "aliases"`);
+      else checkTileToLootMap(markers.aliases, jsonPath(mp, "aliases"), false, false);
 
-    const perTileConfig = tileConfig[tileId];
-    if (!perTileConfig) continue;
+      if ("blocks" in markers) {
+        const bp = jsonPath(mp, "blocks");
+        if (checkObject(markers.blocks, bp)) {
+          for (const [spec, alias] of Object.entries(markers.blocks)) {
+            checkBlockSpec(spec, jsonPath(bp, spec));
+            if (!aliases.includes(alias)) {
+              const hint = typeof alias === "string" ? suggest(alias, aliases) : null;
+              report(
+                jsonPath(bp, spec),
+                `unknown marker alias ${JSON.stringify(alias)}` +
+                  (hint ? ` (did you mean "${hint}"?)` : "")
+              );
+            }
+          }
+          const rp = jsonPath(mp, "replace_with");
+          if (!("replace_with" in markers)) {
+            report(mp, `"blocks" needs "replace_with" (the block a used marker becomes)`);
+          } else if (!(
+            typeof markers.replace_with === "string" && isBlockKey(markers.replace_with)
+          )) {
+            report(rp, `expected a block name like "minecraft:stone"`);
+          }
+        }
+      }
+    }
+  }
 
-    const optLootTable = perTileConfig.loot_table;
-    if (!optLootTable) continue;
+  return problems;
+}
 
-    const perTileSeed = perTileConfig.seed ?? null;
-    const seedToUse = perTileSeed !== null ? perTileSeed : defaultSeed;
+function assertValidLootConfig(config) {
+  const problems = validateLootConfig(config);
+  if (problems.length === 0) return;
 
-    // Determine whether this block entity already has a LootTable
-    const existingLTTag = bedVal.LootTable;
-    const existingLT =
-      existingLTTag && existingLTTag.type === "string" ? existingLTTag.value : null;
+  console.error(`loot_tabler: loot config has ${problems.length} problem(s):`);
+  for (const pr of problems) {
+    console.error(`  ${pr.path}: ${pr.message}`);
+  }
+  throw new Error("Invalid loot config; no structures were modified.");
+}
 
-    const hasLootAlready = existingLT != null && String(existingLT).trim() !== "";
+// -------------------- loot table checks --------------------
 
-    // Behavior:
-    //  - If onlyUnassigned: never overwrite (only set when missing/empty)
-    //  - Else: obey defaults.override_existing
-    if (onlyUnassigned) {
-      if (hasLootAlready) continue;
-    } else {
-      if (hasLootAlready && !overrideExisting) continue;
+function collectConfigLootTables(config) {
+  // loot table path -> list of JSON paths in the config that reference it
+  const refs = new Map();
+  const add = (lt, p) => {
+    if (Array.isArray(lt)) {
+      lt.forEach((c, i) => {
+        if (isPlainObject(c)) add(c.loot_table, jsonPath(`${p}[${i}]`, "loot_table"));
+        else add(c, `${p}[${i}]`);
+      });
+      return;
     }
+    // templates and fallback chains are only known per container; the tables they resolve to
+    // are checked through the structures that use them
+    if (typeof lt !== "string" || lt.trim() === "" || hasPlaceholders(lt)) return;
+    const key = normRel(lt);
+    if (!refs.has(key)) refs.set(key, []);
+    refs.get(key).push(p);
+  };
 
-    // Set LootTable (string)
-    bedVal.LootTable = { type: "string", value: optLootTable };
+  const addTileMap = (scope, p) => {
+    for (const key of SCOPE_KEYS) {
+      const map = scope[key];
+      if (!isPlainObject(map)) continue;
+      for (const tileId of Object.keys(map)) {
+        const rule = map[tileId];
+        const tp = jsonPath(jsonPath(p, key), tileId);
+        if (isPlainObject(rule)) add(rule.loot_table, jsonPath(tp, "loot_table"));
+      }
+    }
+  };
 
-    // Set / clear LootTableSeed (long)
-    if (seedToUse === null || seedToUse === undefined || seedToUse === "") {
-      if (bedVal.LootTableSeed) delete bedVal.LootTableSeed;
-    } else {
-      const seedBigInt = BigInt(seedToUse);
-      bedVal.LootTableSeed = { type: "long", value: seedBigInt };
+  const addTileToLootMap = (map, p) => {
+    if (!isPlainObject(map)) return;
+    for (const tileId of Object.keys(map)) {
+      const v = map[tileId];
+      if (isPlainObject(v) && !isFallbackList(v)) {
+        add(v.loot_table, jsonPath(jsonPath(p, tileId), "loot_table"));
+      } else {
+        add(v, jsonPath(p, tileId));
+      }
     }
+  };
 
-    modifiedCount++;
+  const addPositionRules = (scope, p) => {
+    for (const key of ["position_rules", "quotas"]) {
+      if (!Array.isArray(scope[key])) continue;
+      scope[key].forEach((rule, i) => {
+        if (!isPlainObject(rule)) return;
+        add(rule.loot_table, jsonPath(`${p}.${key}[${i}]`, "loot_table"));
+      });
+    }
+  };
+
+  addTileMap(config, "$");
+  if (isPlainObject(config.markers)) addTileToLootMap(config.markers.aliases, "$.markers.aliases");
+  if (isPlainObject(config.global)) {
+    addTileMap(config.global, "$.global");
+    addPositionRules(config.global, "$.global");
   }
 
-  // --- Loot report (after changes) ---
-  if (reportLoot) {
-    const rows = buildLootReport(blockPosDataTag);
-    printLootReport(fileName, rows);
+  const scopes = [];
+  for (const section of ["folders", "presets"]) {
+    const map = isPlainObject(config[section]) ? config[section] : {};
+    for (const key of Object.keys(map)) scopes.push([map[key], jsonPath(`$.${section}`, key)]);
+  }
+  for (const [rule, p] of scopes) {
+    if (!isPlainObject(rule)) continue;
+    addTileMap(rule, p);
+    addPositionRules(rule, p);
+    addTileToLootMap(rule.structure_defaults, jsonPath(p, "structure_defaults"));
+    const overrides = isPlainObject(rule.structure_overrides) ? rule.structure_overrides : {};
+    for (const name of Object.keys(overrides)) {
+      addTileToLootMap(overrides[name], jsonPath(jsonPath(p, "structure_overrides"), name));
+    }
+  }
+
+  return refs;
+}
+
+async function inspectLootTableFile(filePath) {
+  // Returns null when the table looks usable, otherwise a short reason.
+  let raw;
+  try {
+    raw = await fs.promises.readFile(filePath, "utf8");
+  } catch {
+    return "missing";
   }
 
-  // Only write back if changed
-  if (modifiedCount > 0) {
-    const outBuf = nbt.writeUncompressed(root, "little");
-    await fs.promises.writeFile(filePath, outBuf);
+  let json;
+  try {
+    json = parseJsonWithComments(raw);
+  } catch (e) {
+    return `malformed JSON (${e.message})`;
   }
 
-  return { modifiedCount, skipped: false };
+  if (!isPlainObject(json)) return "malformed (top level is not an object)";
+  if (!("pools" in json)) return "has no pools";
+  if (!Array.isArray(json.pools)) return "malformed (pools is not an array)";
+  if (json.pools.length === 0) return "has no pools";
+  return null;
 }
 
-// -------------------- config loading --------------------
+async function checkLootTableRefs(bpDir, configRefs, structureUsage) {
+  // configRefs / structureUsage are keyed by the loot table path as written (relative to the BP root)
+  const tables = new Set([...configRefs.keys(), ...structureUsage.keys()]);
+  const problems = [];
 
-async function loadLootConfig(settings) {
-  // Option A: inline config object
-  if (settings.loot_config && typeof settings.loot_config === "object") {
-    return settings.loot_config;
+  for (const table of Array.from(tables).sort()) {
+    const reason = await inspectLootTableFile(path.join(bpDir, table));
+    if (!reason) continue;
+
+    problems.push({
+      table,
+      reason,
+      configPaths: configRefs.get(table) || [],
+      structures: Array.from(structureUsage.get(table) || []).sort()
+    });
   }
 
-  // Option B: path to JSON file (relative to ROOT_DIR or FILTER_DIR, or absolute)
-  const cfgPath = settings.loot_config_path || settings.config_path;
-  if (!cfgPath) {
+  return problems;
+}
+
+function printLootTableProblems(problems, mode) {
+  if (problems.length === 0) {
+    console.log("loot_tabler: all referenced loot tables exist and have pools.");
+    return;
+  }
+
+  const log = mode === "fail" ? console.error : console.warn;
+  log(`loot_tabler: ${problems.length} loot table problem(s):`);
+  for (const pr of problems) {
+    log(`  ${pr.table}: ${pr.reason}`);
+    for (const p of pr.configPaths) log(`    referenced by ${p}`);
+    for (const f of pr.structures) log(`    used in ${f}`);
+  }
+}
+
+// -------------------- loot table scaffolding (mode "scaffold_loot_tables") --------------------
+
+// Creates a stub for every referenced loot table that doesn't exist yet: the config's own paths
+// plus the tables structures resolve to (placeholders filled in), found with a dry run of
+// "assign". scaffold_template is "empty" (one roll of nothing) or a loot table path in the
+// behavior pack to copy. Existing files are never touched, broken or not; they are only listed.
+
+const EMPTY_LOOT_TABLE = { pools: [{ rolls: 1, entries: [{ type: "empty", weight: 1 }] }] };
+
+async function readScaffoldTemplate(settings, bpDir) {
+  const template = settings.scaffold_template ?? "empty";
+  if (template === "empty") return { name: "empty", json: EMPTY_LOOT_TABLE };
+
+  const file = path.join(bpDir, String(template));
+  const reason = await inspectLootTableFile(file);
+  if (reason) throw new Error(`scaffold_template ${JSON.stringify(template)} ${reason} (${file}).`);
+  const json = parseJsonWithComments(await fs.promises.readFile(file, "utf8"));
+  return { name: String(template), json };
+}
+
+function renderScaffoldSummary(summary, format) {
+  if (format === "json") return JSON.stringify(summary, null, 2) + "\n";
+
+  const lines = [
+    "# Scaffolded loot tables",
+    "",
+    `Stubs created from template \`${summary.template}\`. Fill them in; loot_tabler never ` +
+      "overwrites an existing loot table.",
+    "",
+    "| loot_table | referenced by | used in |",
+    "| --- | --- | --- |",
+    ...summary.created.map(
+      (t) =>
+        `| ${mdCell(t.table)} | ${mdCell(t.config_paths.join(", "))} | ` +
+        `${mdCell(t.structures.join(", "))} |`
+    )
+  ];
+  if (summary.skipped.length > 0) {
+    lines.push("", "## Existing tables with problems (left alone)", "");
+    lines.push("| loot_table | problem |", "| --- | --- |");
+    for (const t of summary.skipped) lines.push(`| ${mdCell(t.table)} | ${mdCell(t.reason)} |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function scaffoldLootTables(settings, bpDir, configRefs, structureUsage, dryRun) {
+  const template = await readScaffoldTemplate(settings, bpDir);
+  const problems = await checkLootTableRefs(bpDir, configRefs, structureUsage);
+  const body = JSON.stringify(template.json, null, 2) + "\n";
+
+  const created = [];
+  const skipped = [];
+  for (const pr of problems) {
+    if (pr.reason !== "missing") {
+      skipped.push({ table: pr.table, reason: pr.reason });
+      console.warn(`loot_tabler: ${pr.table}: exists but ${pr.reason}; not scaffolded`);
+      continue;
+    }
+    if (!dryRun) {
+      const file = path.join(bpDir, pr.table);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await fs.promises.writeFile(file, body, { encoding: "utf8", flag: "wx" });
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        continue; // appeared meanwhile; never overwrite
+      }
+    }
+    console.log(`  ${dryRun ? "would create" : "created"} ${pr.table}`);
+    created.push({ table: pr.table, config_paths: pr.configPaths, structures: pr.structures });
+  }
+
+  const verb = dryRun ? "would create" : "created";
+  console.log(
+    `loot_tabler: scaffold: ${verb} ${created.length} loot table stub(s) from template ` +
+      `${JSON.stringify(template.name)} in ${bpDir}.`
+  );
+  if (created.length === 0 || dryRun) return;
+
+  const rootDir = process.env.ROOT_DIR || process.cwd();
+  const summaryPath = settings.scaffold_summary_path || "loot-tables-scaffolded.md";
+  const outPath = path.isAbsolute(summaryPath) ? summaryPath : path.join(rootDir, summaryPath);
+  const format = path.extname(outPath).toLowerCase() === ".json" ? "json" : "md";
+  const summary = { template: template.name, created, skipped };
+  await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.promises.writeFile(outPath, renderScaffoldSummary(summary, format), "utf8");
+  console.log(`loot_tabler: scaffold: wrote summary to ${outPath}`);
+}
+
+// -------------------- library API --------------------
+
+// require("regolith-loot-tabler") gives build scripts and tests the same logic without Regolith:
+//   resolveTileConfig(config, relPath)  -> { tileConfig, sources, folderMatch, overrideMatch }
+//   applyLoot(buffer, config, options)  -> Promise<{ buffer, changes, lootRows, skipped }>
+// applyLoot options: relPath (structure path used for folder/override scoping, default
+// "structure.mcstructure"), bpDir (behavior pack root for first_existing), mode ("assign" /
+// "strip"), dryRun, onlyUnassigned, diagnostic, reportLoot.
+
+const checkedConfigs = new WeakSet();
+
+function assertValidConfigOnce(config) {
+  if (isPlainObject(config) && checkedConfigs.has(config)) return;
+  const problems = validateLootConfig(config);
+  if (problems.length > 0) {
+    const list = problems.map((pr) => `${pr.path}: ${pr.message}`).join("; ");
+    throw new Error(`Invalid loot config (${problems.length} problem(s)): ${list}`);
+  }
+  checkedConfigs.add(config);
+}
+
+async function applyLoot(buffer, config, options = {}) {
+  assertValidConfigOnce(config);
+  const mode = options.mode ?? "assign";
+  if (!["assign", "strip"].includes(mode)) {
     throw new Error(
-      "Missing loot config. Provide settings.loot_config (object) or settings.loot_config_path (string)."
+      `applyLoot: invalid mode ${JSON.stringify(mode)}; expected "assign" or "strip".`
     );
   }
 
-  const rootDir = process.env.ROOT_DIR;
-  const filterDir = process.env.FILTER_DIR;
+  const relPath = options.relPath || "structure.mcstructure";
+  const result = await processStructure(Buffer.from(buffer), normRel(relPath), config, {
+    printPlan: false,
+    ...options,
+    mode
+  });
 
-  const candidates = [];
-  if (path.isAbsolute(cfgPath)) candidates.push(cfgPath);
-  if (rootDir) candidates.push(path.join(rootDir, cfgPath));
-  if (filterDir) candidates.push(path.join(filterDir, cfgPath));
-  candidates.push(path.resolve(cfgPath)); // fallback
+  return {
+    buffer: result.buffer || buffer,
+    changes: result.changes || [],
+    lootRows: result.lootRows || [],
+    skipped: result.skipped
+  };
+}
 
-  let resolved = null;
-  for (const c of candidates) {
-    if (await fileExists(c)) {
-      resolved = c;
-      break;
+// -------------------- command line --------------------
+
+// Outside Regolith: loot-tabler <command> [pack-dir] [flags]
+// pack-dir is a behavior pack (with structures/) or a project root (with BP/structures/).
+const CLI_COMMANDS = ["apply", "report", "diagnose", "restore", "scaffold", "init"];
+
+const CLI_USAGE = `Usage: loot-tabler <command> [pack-dir] [options]
+
+Commands:
+  apply      assign loot tables to every .mcstructure / Java .nbt in the pack
+  report     write a loot report of what apply would assign (a dry run; nothing is modified)
+  diagnose   print blocks, tile entities, matched rules and the change plan
+  restore    put back the structures a backed-up apply run changed
+  scaffold   create stubs for referenced loot tables that don't exist yet
+  init       write an example loot config
+
+Options:
+  --config <file>        loot config JSON (apply, report, diagnose, scaffold)
+  --structures <dir>     structures directory, globs allowed (default: <pack-dir>/structures,
+                         <pack-dir>/BP/structures for a project root, or
+                         <pack-dir>/data/*/structures for a Java data pack)
+  --mode <mode>          assign (default), strip or extract_config (apply)
+  --dry-run              print the change plan instead of writing files (apply, restore)
+  --output <dir>         write structures here instead of in place, mirroring --structures (apply)
+  --backup               back up changed structures with a manifest before writing (apply)
+  --run <id|latest>      backup run to restore (restore, default latest)
+  --template <table>     loot table to copy for stubs, or "empty" (scaffold, default empty)
+  --only-unassigned      never replace an existing LootTable
+  --out <file>           report file (report, default loot-report.<format>, or loot-report/
+                         for html) / summary file (scaffold) / config file (init)
+  --format <fmt>         report format: json, csv, md or html (report)
+  --check <warn|fail>    check that referenced loot tables exist
+  --coverage <warn|fail> report containers left without loot
+  --fail-on-error        exit non-zero when a structure cannot be processed
+  --set <key=value>      any other filter setting (value parsed as JSON when possible)
+  -h, --help             show this help`;
+
+const CLI_FLAGS = {
+  "--config": "loot_config_path",
+  "--structures": "structures_dir",
+  "--mode": "mode",
+  "--out": "out",
+  "--format": "format",
+  "--check": "check_loot_tables",
+  "--coverage": "coverage",
+  "--output": "output_dir",
+  "--run": "restore_run",
+  "--template": "scaffold_template"
+};
+
+const CLI_SWITCHES = {
+  "--dry-run": "dry_run",
+  "--backup": "backup",
+  "--only-unassigned": "only_unassigned",
+  "--fail-on-error": "fail_on_error"
+};
+
+function parseCliArgs(argv) {
+  // -> { command, packDir, settings, help }
+  const [command, ...rest] = argv;
+  const out = { command, packDir: null, settings: {}, help: false };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "-h" || arg === "--help") {
+      out.help = true;
+    } else if (CLI_SWITCHES[arg]) {
+      out.settings[CLI_SWITCHES[arg]] = true;
+    } else if (CLI_FLAGS[arg] || arg === "--set") {
+      const value = rest[++i];
+      if (value === undefined) throw new Error(`Missing value for ${arg}.\n\n${CLI_USAGE}`);
+      if (arg !== "--set") {
+        out.settings[CLI_FLAGS[arg]] = value;
+        continue;
+      }
+      const eq = value.indexOf("=");
+      if (eq <= 0) throw new Error(`--set expects key=value, got ${JSON.stringify(value)}.`);
+      const raw = value.slice(eq + 1);
+      try {
+        out.settings[value.slice(0, eq)] = JSON.parse(raw);
+      } catch {
+        out.settings[value.slice(0, eq)] = raw;
+      }
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option ${arg}.\n\n${CLI_USAGE}`);
+    } else if (out.packDir === null) {
+      out.packDir = arg;
+    } else {
+      throw new Error(`Unexpected argument ${JSON.stringify(arg)}.\n\n${CLI_USAGE}`);
     }
   }
 
-  if (!resolved) {
-    throw new Error(`Could not find loot config file. Tried:\n- ${candidates.join("\n- ")}`);
+  return out;
+}
+
+async function runCli(argv) {
+  if (argv.length === 0 || argv[0] === "-h" || argv[0] === "--help") {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  const { command, packDir, settings, help } = parseCliArgs(argv);
+  if (help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+  if (!CLI_COMMANDS.includes(command)) {
+    throw new Error(`Unknown command ${JSON.stringify(command)}.\n\n${CLI_USAGE}`);
+  }
+
+  const { out, format, ...cliSettings } = settings;
+  // --format only picks the report command's file type; use --set report_format=... elsewhere
+  if (format !== undefined && command !== "report") {
+    throw new Error(`--format only applies to the report command, not ${command}.`);
+  }
+
+  if (command === "init") {
+    await maybeWriteExampleConfig({
+      write_example_config: true,
+      example_config_path: path.resolve(out || "loot-config.json")
+    });
+    return;
+  }
+
+  // paths are relative to the working directory, never to Regolith's ROOT_DIR / FILTER_DIR
+  const pack = path.resolve(packDir || ".");
+  let structuresDir = cliSettings.structures_dir ? path.resolve(cliSettings.structures_dir) : null;
+  let packRoot = structuresDir ? path.dirname(structuresDir) : pack;
+  if (!structuresDir) {
+    // behavior pack, project root with BP/, or a Java data pack (data/<namespace>/structure[s])
+    const nested = path.join(pack, "BP", "structures");
+    const javaRoots = await resolveStructureRoots(path.join(pack, "data/*/{structures,structure}"));
+    if (await fileExists(path.join(pack, "structures"))) {
+      structuresDir = path.join(pack, "structures");
+    } else if (await fileExists(nested)) {
+      structuresDir = nested;
+      packRoot = path.dirname(nested);
+    } else if (javaRoots.length > 0) {
+      structuresDir = javaRoots;
+    } else {
+      structuresDir = path.join(pack, "structures");
+    }
   }
 
-  const raw = await fs.promises.readFile(resolved, "utf8");
-  return JSON.parse(raw);
+  const base = {
+    ...cliSettings,
+    structures_dir: structuresDir,
+    behavior_pack_dir: cliSettings.behavior_pack_dir || packRoot
+  };
+  for (const key of ["loot_config_path", "output_dir", "backup_dir"]) {
+    if (base[key]) base[key] = path.resolve(base[key]);
+  }
+
+  if (command === "apply") {
+    await runLootTabler(base);
+  } else if (command === "report") {
+    const { report_format: fmt, ...rest } = base;
+    const reportFormat = format || fmt || "json";
+    // html is a directory of pages rather than a single report file
+    const report =
+      reportFormat === "html"
+        ? { html_report_dir: path.resolve(out || "loot-report") }
+        : {
+            report_format: reportFormat,
+            report_path: path.resolve(out || `loot-report.${reportFormat}`)
+          };
+    // the report is a dry run of apply: it shows the loot each container would end up with
+    await runLootTabler({ ...rest, ...report, dry_run: true }, { printPlan: false });
+  } else if (command === "diagnose") {
+    await runLootTabler({ ...base, dry_run: true, diagnostic: true, report_loot: true });
+  } else if (command === "restore") {
+    await runLootTabler({ ...base, mode: "restore" });
+  } else if (command === "scaffold") {
+    const summary = out ? { scaffold_summary_path: path.resolve(out) } : {};
+    await runLootTabler({ ...base, ...summary, mode: "scaffold_loot_tables" });
+  }
 }
 
 // -------------------- entrypoint --------------------
 
-async function main() {
-  const settings = readSettingsArg();
-
+async function runLootTabler(settings, extraOpts = {}) {
   // Option B: write an example config into the project (one-time, no overwrite)
   await maybeWriteExampleConfig(settings);
 
@@ -577,51 +5011,259 @@ async function main() {
         settings.only_empty ??
         settings.onlyUnassigned
     ),
-    reportLoot: Boolean(settings.report_loot ?? settings.report ?? settings.reportLoot)
+    reportLoot: Boolean(settings.report_loot ?? settings.report ?? settings.reportLoot),
+    dryRun: Boolean(settings.dry_run ?? settings.dryRun),
+    mode: readMode(settings),
+    ...extraOpts
   };
 
-  const structuresDir = settings.structures_dir || "./BP/structures";
+  // restore rolls back a backed-up run from its manifest; no structures are scanned
+  if (opts.mode === "restore") {
+    await restoreBackupRun(settings, opts.dryRun);
+    return;
+  }
+
+  // a missing or broken config fails the run even when there are no structures to apply it to;
+  // extract_config writes a config instead of reading one
+  const config = opts.mode === "extract_config" ? null : await loadLootConfig(settings);
+  if (config) assertValidLootConfig(config);
+
+  const structuresSetting = settings.structures_dir || "./BP/structures";
+  const roots = await resolveStructureRoots(structuresSetting);
+  const checkLootTables = readCheckMode(settings, "check_loot_tables");
+  const coverageMode = readCheckMode(settings, "coverage");
+  const containerTileIds = readCoverageTileIds(settings); // coverage and the html report
+  const failOnError = Boolean(settings.fail_on_error);
+  const reportFormat = settings.report_path ? readReportFormat(settings) : null;
 
-  if (!(await fileExists(structuresDir))) {
-    console.log(`loot_tabler: No structures directory found at ${structuresDir} (skipping).`);
+  const structuresDesc = [].concat(structuresSetting).join(", ");
+  if (roots.length === 0) {
+    console.log(`loot_tabler: No structures directory found at ${structuresDesc} (skipping).`);
     return;
   }
+  opts.bpDir = settings.behavior_pack_dir || path.dirname(roots[0]);
+  Object.assign(opts, readOutputOptions(settings, roots, opts.dryRun));
+
+  // structure file -> its root, in root order then path order
+  const fileRoots = new Map();
+  for (const root of roots) {
+    const found = (await walk(root)).filter((p) => STRUCTURE_EXT_RE.test(p)).sort();
+    for (const f of found) {
+      if (!fileRoots.has(f)) fileRoots.set(f, root);
+    }
+  }
 
-  const config = await loadLootConfig(settings);
+  if (fileRoots.size === 0) {
+    console.log(`loot_tabler: No structure files found under ${roots.join(", ")}.`);
+    return;
+  }
 
-  const files = (await walk(structuresDir)).filter((p) => p.toLowerCase().endsWith(".mcstructure"));
+  console.log(`loot_tabler: Found ${fileRoots.size} structure file(s) under ${roots.join(", ")}.`);
 
-  if (files.length === 0) {
-    console.log(`loot_tabler: No .mcstructure files found under ${structuresDir}.`);
+  if (opts.mode === "extract_config") {
+    await extractLootConfig(settings, fileRoots, opts.dryRun);
     return;
   }
 
-  console.log(`loot_tabler: Found ${files.length} .mcstructure file(s) under ${structuresDir}.`);
+  // scaffold_loot_tables finds the tables structures resolve to with a dry run of "assign"
+  const scaffold = opts.mode === "scaffold_loot_tables";
+  const scaffoldDryRun = opts.dryRun;
+  if (scaffold) Object.assign(opts, { mode: "assign", dryRun: true, printPlan: false });
+
+  // in "fail" mode a broken table the config names stops the run before anything is written;
+  // tables that only structures use are checked once every structure has been read
+  if (checkLootTables === "fail" && !opts.dryRun) {
+    const configRefs = collectConfigLootTables(config);
+    const problems = await checkLootTableRefs(opts.bpDir, configRefs, new Map());
+    if (problems.length > 0) {
+      printLootTableProblems(problems, checkLootTables);
+      throw new Error(
+        `${problems.length} loot table problem(s) found (check_loot_tables: "fail"); ` +
+          "no structures were written."
+      );
+    }
+  }
+
+  // quotas need every structure scanned before any one of them is processed
+  const store = await openCache(settings, opts);
+  const quotaPlan = await planQuotas(config, fileRoots, opts, store);
+  opts.quotaPlacements = quotaPlan.placements;
+  printQuotaPlan(quotaPlan.summaries, opts.dryRun);
 
   let totalModified = 0;
+  let totalStripped = 0;
+  let totalPatched = 0;
+  const lootUsage = new Map(); // loot table -> Set of structure files that reference it
+  const assignedUsage = new Map(); // the same, for tables this run assigns
+  const reportRows = []; // project-wide rows for report_path and coverage
+  const htmlEntries = []; // per-structure rows for html_report_dir
+  const backups = []; // backup manifest entries
+  const fileErrors = [];
+  const failures = []; // checks in "fail" mode; reported together once every check has run
 
-  for (const f of files) {
-    try {
-      const { modifiedCount, skipped } = await processFile(f, structuresDir, config, opts);
-      if (skipped) continue;
+  // the manifest exists before the first in-place write and is rewritten after every backed-up
+  // file (one write at a time), so a run that stops midway can still be restored
+  const { backupRun } = opts;
+  let manifestWrite = backupRun ? writeBackupManifest(backupRun, backups, false) : null;
+  await manifestWrite;
 
-      if (modifiedCount === 0) {
-        console.log(`${path.relative(process.cwd(), f)}: no matching block entities found or modified`);
-      } else {
-        console.log(
-          `${path.relative(process.cwd(), f)}: applied loot tables to ${modifiedCount} block entity(ies)`
-        );
-        totalModified += modifiedCount;
-      }
-    } catch (err) {
-      console.error(`Error processing ${f}: ${err && err.message ? err.message : String(err)}`);
+  const onOutcome = (f, outcome) => {
+    if (outcome.error) {
+      console.error(`Error processing ${f}: ${outcome.error}`);
+      fileErrors.push(path.relative(process.cwd(), f));
+      return;
+    }
+
+    const { modifiedCount, strippedCount, patchedCount, markerCount, skipped, lootRows, backup } =
+      outcome.result;
+    if (backup) {
+      backups.push({
+        ...backup,
+        modified: modifiedCount,
+        stripped: strippedCount,
+        patched: patchedCount,
+        markers: markerCount || 0
+      });
+      manifestWrite = manifestWrite.then(() => writeBackupManifest(backupRun, backups, false));
+    }
+    if (skipped) return;
+
+    for (const r of lootRows) {
+      if (!r.lootTable || String(r.lootTable).trim() === "") continue;
+      if (r.edition === "java") continue; // namespaced ids live in a data pack, not the BP
+      const key = normRel(r.lootTable);
+      if (!lootUsage.has(key)) lootUsage.set(key, new Set());
+      lootUsage.get(key).add(path.relative(process.cwd(), f));
+      // scaffolding only stubs what the config assigns, not loot already saved in structures
+      if (r.action !== "assign") continue;
+      if (!assignedUsage.has(key)) assignedUsage.set(key, new Set());
+      assignedUsage.get(key).add(path.relative(process.cwd(), f));
+    }
+
+    const structure = getRelativeToStructures(f, fileRoots.get(f));
+    for (const r of lootRows) reportRows.push({ structure, ...r });
+    if (settings.html_report_dir) {
+      const fileName = path.relative(process.cwd(), f);
+      const filePath = opts.dryRun ? f : getOutputPath(f, fileRoots.get(f), opts);
+      const replacedBlocks = opts.dryRun ? outcome.result.replacedBlocks : [];
+      // signs, beds, banners, ... are not containers; they'd count as lacking loot
+      const rows = lootRows.filter((r) => isLootContainer(r.tileId, containerTileIds));
+      htmlEntries.push({ fileName, filePath, structure, rows, replacedBlocks });
+    }
+
+    if (modifiedCount === 0 && strippedCount === 0 && patchedCount === 0 && !markerCount) {
+      console.log(
+        `${path.relative(process.cwd(), f)}: no matching block entities found or modified`
+      );
+    }
+    if (modifiedCount > 0) {
+      const verb = opts.dryRun ? "would apply" : "applied";
+      console.log(
+        `${path.relative(process.cwd(), f)}: ${verb} loot tables to ${modifiedCount} block entity(ies)`
+      );
+      totalModified += modifiedCount;
+    }
+    if (strippedCount > 0) {
+      const verb = opts.dryRun ? "would strip" : "stripped";
+      console.log(
+        `${path.relative(process.cwd(), f)}: ${verb} loot from ${strippedCount} block entity(ies)`
+      );
+      totalStripped += strippedCount;
+    }
+    if (patchedCount > 0) {
+      const verb = opts.dryRun ? "would patch" : "patched";
+      console.log(
+        `${path.relative(process.cwd(), f)}: ${verb} NBT on ${patchedCount} block entity(ies)`
+      );
+      totalPatched += patchedCount;
+    }
+    if (markerCount > 0) {
+      const verb = opts.dryRun ? "would resolve" : "resolved";
+      console.log(`${path.relative(process.cwd(), f)}: ${verb} ${markerCount} marker(s)`);
     }
+  };
+  try {
+    await processStructureFiles(fileRoots, config, opts, settings, store, onOutcome);
+  } finally {
+    // even when processing fails, the manifest lists every file already overwritten
+    await manifestWrite;
+  }
+
+  if (opts.dryRun) {
+    console.log(
+      `loot_tabler: Dry run done. ${totalModified} block entity(ies) would be modified, ${totalStripped} stripped, ${totalPatched} NBT-patched; no files were written.`
+    );
+  } else {
+    console.log(
+      `loot_tabler: Done. Total block entities modified: ${totalModified}, stripped: ${totalStripped}, NBT-patched: ${totalPatched}`
+    );
+  }
+
+  if (scaffold) {
+    const configRefs = collectConfigLootTables(config);
+    await scaffoldLootTables(settings, opts.bpDir, configRefs, assignedUsage, scaffoldDryRun);
+  }
+  if (opts.outputDir && !opts.dryRun) {
+    console.log(`loot_tabler: structures written to ${opts.outputDir}; sources left unchanged.`);
+  }
+  if (backupRun) await finishBackupRun(backupRun, backups);
+
+  if (reportFormat) {
+    await writeProjectReport(settings.report_path, reportFormat, reportRows, quotaPlan.summaries);
+  }
+  if (settings.html_report_dir) {
+    await writeHtmlReport(settings.html_report_dir, htmlEntries);
+  }
+
+  if (checkLootTables !== "off") {
+    const bpDir = opts.bpDir;
+    const problems = await checkLootTableRefs(bpDir, collectConfigLootTables(config), lootUsage);
+    printLootTableProblems(problems, checkLootTables);
+    if (problems.length > 0 && checkLootTables === "fail") {
+      failures.push(`${problems.length} loot table problem(s) found (check_loot_tables: "fail")`);
+    }
+  }
+
+  if (coverageMode !== "off") {
+    const coverage = computeCoverage(reportRows, settings, containerTileIds);
+    printCoverage(coverage, coverageMode);
+    if (coverage.failReasons.length > 0 && coverageMode === "fail") {
+      failures.push(...coverage.failReasons.map((r) => `coverage: ${r}`));
+    }
+  }
+
+  if (fileErrors.length > 0 && failOnError) {
+    failures.push(`${fileErrors.length} structure(s) could not be processed (fail_on_error)`);
+  }
+
+  if (failures.length > 0) {
+    throw new Error(failures.join("; "));
+  }
+}
+
+async function main() {
+  // Regolith passes a settings JSON object; anything else is a CLI command line
+  const first = process.argv[2];
+  if (first && !first.trim().startsWith("{")) {
+    await runCli(process.argv.slice(2));
+    return;
   }
+  await runLootTabler(readSettingsArg());
+}
 
-  console.log(`loot_tabler: Done. Total block entities modified: ${totalModified}`);
+if (!isMainThread && workerData && workerData.lootTablerWorker) {
+  runWorker();
+} else if (require.main === module) {
+  main().catch((err) => {
+    console.error("loot_tabler: Fatal error:", err && err.message ? err.message : String(err));
+    process.exit(1);
+  });
 }
 
-main().catch((err) => {
-  console.error("loot_tabler: Fatal error:", err && err.message ? err.message : String(err));
-  process.exit(1);
-});
+module.exports = {
+  applyLoot,
+  resolveTileConfig,
+  validateLootConfig,
+  loadLootConfig,
+  runLootTabler
+};